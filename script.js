@@ -1,6 +1,41 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { OBB } from 'three/addons/math/OBB.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+
+// 시청자 기본값 (mm): 앉은 눈높이(상판 기준), 책상 앞 가장자리~눈 거리, 좌우 위치
+const VIEWER_DEFAULTS = { eyeHeight: 480, distance: 300, offsetX: 0 };
+
+// 책상 기본값 (mm). L자/코너형의 returnLength = 뒤 가장자리 ~ 보조 상판 앞 끝
+const DESK_DEFAULTS = {
+    width: 1600, depth: 800, color: '#ffffff', shape: 'rect',
+    returnSide: 'right', returnWidth: 600, returnLength: 1400, cornerRadius: 0,
+    front: 'straight', frontWidth: 700, frontDepth: 100, polygon: [],
+    height: 730, thickness: 30
+};
+
+// 벽 기본값 (mm). distance = 책상 바깥 가장자리 ~ 벽면
+const WALL_DEFAULTS = { height: 2400, distance: 0 };
+
+// 카메라 기본값 (degree). fov = 원근 카메라 수직 시야각, povFov = 앉은 시점의 수평 시야각
+const CAMERA_DEFAULTS = { fov: 45, povFov: 100 };
+
+// 마운트 기본값. 높이(mm): 스탠드 = 상판~본체 하단, 암 = 상판~VESA 중심. 각도는 degree
+const MOUNT_DEFAULTS = {
+    stand: {
+        type: 'stand', baseWidth: 250, baseDepth: 200, baseYaw: 0, minHeight: 50, maxHeight: 180,
+        tiltMin: -5, tiltMax: 20, swivelMin: -30, swivelMax: 30, pivot: true
+    },
+    arm: {
+        type: 'arm', clampX: 0, reach: 500, minHeight: 150, maxHeight: 550,
+        tiltMin: -45, tiltMax: 45, swivelMin: -90, swivelMax: 90, pivot: true
+    }
+};
+
+// 마운트 한계 [최소, 최대] 짝. 항상 최소 <= 최대
+const MOUNT_LIMIT_PAIRS = [['minHeight', 'maxHeight'], ['tiltMin', 'tiltMax'], ['swivelMin', 'swivelMax']];
 
 // ==========================================
 // 1. MonitorFactory: Creates monitor meshes
@@ -8,23 +43,15 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 class MonitorFactory {
     static createMonitor(config) {
         const { id, name, curvature, isPortrait, locked } = config;
-
-        const inches = Math.max(1, parseFloat(config.inches) || 27);
-        const ratioW = Math.max(0.1, parseFloat(config.ratioW) || 16);
-        const ratioH = Math.max(0.1, parseFloat(config.ratioH) || 9);
-
-        const diagonalMm = inches * 25.4;
-        const ratio = ratioW / ratioH;
-        const heightMm = Math.sqrt((diagonalMm * diagonalMm) / (ratio * ratio + 1));
-        const widthMm = heightMm * ratio;
+        const { inches, ratioW, ratioH, resolution, widthMm, heightMm, bezel, housingDepth, outerWidth, outerHeight } = this.dimensions(config);
 
         const radius = parseFloat(curvature);
         
         const perimeter = 2 * Math.PI * radius;
-        const isValidCurvature = (radius > 0 && radius < 10000) && (widthMm < perimeter * 0.95);
+        const isValidCurvature = (radius > 0 && radius < 10000) && (outerWidth < perimeter * 0.95);
 
         // 텍스처 최적화: 기존 텍스처가 있으면 재사용, 없으면 새로 생성
-        const texture = this.createScreenTexture(name, inches, ratioW, ratioH);
+        const texture = this.createScreenTexture(name, inches, ratioW, ratioH, resolution);
         
         // [최적화] Standard(PBR) -> Lambert(Gouraud) 재질 변경으로 연산량 대폭 감소
         const bodyMaterial = new THREE.MeshLambertMaterial({ 
@@ -45,12 +72,15 @@ class MonitorFactory {
             const screenGeo = new THREE.PlaneGeometry(widthMm, heightMm);
             const screenMesh = new THREE.Mesh(screenGeo, screenMaterial);
 
-            const bodyGeo = new THREE.BoxGeometry(widthMm, heightMm, 20);
-            bodyGeo.translate(0, 0, -10.1); 
+            // 화면 중심이 그룹 원점에 오도록 베젤 차이만큼 본체를 이동
+            const bodyGeo = new THREE.BoxGeometry(outerWidth, outerHeight, housingDepth);
+            bodyGeo.translate((bezel.right - bezel.left) / 2, (bezel.top - bezel.bottom) / 2, -housingDepth / 2 - 0.1);
             const bodyMesh = new THREE.Mesh(bodyGeo, bodyMaterial);
 
             group.add(bodyMesh);
             group.add(screenMesh);
+            group.userData.body = bodyMesh;
+            group.userData.screen = screenMesh;
 
             screenMesh.frustumCulled = false;
             bodyMesh.frustumCulled = false;
@@ -71,17 +101,21 @@ class MonitorFactory {
             texture.repeat.set(-1, 1);
             screenMesh.frustumCulled = false;
 
+            // 각도가 음수인 쪽이 화면 오른쪽(+x)이 됨
+            const angleStart = -theta / 2 - bezel.right / radius;
+            const angleEnd = theta / 2 + bezel.left / radius;
+
             const shape = new THREE.Shape();
-            shape.absarc(0, 0, radius, -theta/2, theta/2, false);
-            shape.absarc(0, 0, radius + 20, theta/2, -theta/2, true);
+            shape.absarc(0, 0, radius, angleStart, angleEnd, false);
+            shape.absarc(0, 0, radius + housingDepth, angleEnd, angleStart, true);
             
             const extrudeSettings = { 
-                depth: heightMm, 
+                depth: outerHeight, 
                 bevelEnabled: false,
                 curveSegments: 12 // [최적화] 곡선 분할 감소 (32 -> 12)
             };
             const bodyGeo = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-            bodyGeo.translate(0, 0, -heightMm / 2);
+            bodyGeo.translate(0, 0, -(heightMm / 2 + bezel.bottom));
             bodyGeo.rotateX(-Math.PI / 2); 
             bodyGeo.rotateY(Math.PI / 2); 
             bodyGeo.translate(0, 0, radius);
@@ -91,19 +125,40 @@ class MonitorFactory {
 
             group.add(bodyMesh);
             group.add(screenMesh);
+            group.userData.body = bodyMesh;
+            group.userData.screen = screenMesh;
         }
 
+        // 스위블 -> 틸트 -> 롤 순서. 옆으로 돌린 모니터도 rotation.x가 그대로 틸트
+        group.rotation.order = 'YXZ';
         if (isPortrait) {
             group.rotation.z = -Math.PI / 2;
         }
 
-        const distanceToBottom = (isPortrait ? widthMm : heightMm) / 2;
+        // 세로 모드(-90° 회전)에서는 오른쪽 베젤이 아래로 향함
+        const distanceToBottom = isPortrait ? widthMm / 2 + bezel.right : heightMm / 2 + bezel.bottom;
         
         group.userData = { 
+            ...group.userData,
             id: id, 
             isMonitor: true, 
             distanceToBottom: distanceToBottom,
-            locked: !!locked
+            locked: !!locked,
+            size: {
+                width: widthMm, height: heightMm, outerWidth, outerHeight, depth: housingDepth, bezel,
+                radius: isValidCurvature ? radius : 0 // 0 = 평면
+            },
+            // VESA 장착 위치: 본체 뒷면 중심 (그룹 로컬 좌표)
+            vesaLocal: new THREE.Vector3((bezel.right - bezel.left) / 2, (bezel.top - bezel.bottom) / 2, -housingDepth),
+            isPortrait: !!isPortrait,
+            labelTexture: texture, // 화면 콘텐츠를 지우면 되돌아갈 이름표
+            mirroredUv: isValidCurvature, // 곡면 UV는 좌우가 반대 (이름표는 repeat -1로 뒤집음)
+            inches,
+            resolution, // 패널 방향 기준 (ratioW:ratioH와 같은 방향)
+            group: config.group ?? null, // 함께 선택/이동되는 묶음 id
+            mount: config.mount ? { ...config.mount } : null,
+            // 충돌 검사용 로컬 OBB (곡면은 호를 여러 조각으로 근사)
+            collisionVolumes: this.createCollisionVolumes({ widthMm, heightMm, bezel, housingDepth, outerWidth, outerHeight }, isValidCurvature ? radius : 0)
         };
         
         group.traverse(c => {
@@ -114,7 +169,127 @@ class MonitorFactory {
         return group;
     }
 
-    static createScreenTexture(name, inches, rW, rH) {
+    // 설정값을 정리하여 화면/외곽 치수(mm) 계산 (가로 기준)
+    static dimensions(config) {
+        const inches = Math.max(1, parseFloat(config.inches) || 27);
+        const ratioW = Math.max(0.1, parseFloat(config.ratioW) || 16);
+        const ratioH = Math.max(0.1, parseFloat(config.ratioH) || 9);
+        const { widthMm, heightMm } = this.panelSize(inches, ratioW, ratioH);
+
+        // 베젤/본체 두께 (구버전 설정은 베젤 없음, 20mm 본체)
+        const bezel = {
+            top: Math.max(0, parseFloat(config.bezel?.top) || 0),
+            bottom: Math.max(0, parseFloat(config.bezel?.bottom) || 0),
+            left: Math.max(0, parseFloat(config.bezel?.left) || 0),
+            right: Math.max(0, parseFloat(config.bezel?.right) || 0)
+        };
+        const housingDepth = Math.max(1, parseFloat(config.housingDepth) || 20);
+        const fallback = this.defaultResolution(ratioW, ratioH);
+        const resolution = {
+            w: Math.max(1, Math.round(parseFloat(config.resolution?.w)) || fallback.w),
+            h: Math.max(1, Math.round(parseFloat(config.resolution?.h)) || fallback.h)
+        };
+
+        return {
+            inches, ratioW, ratioH, resolution, widthMm, heightMm, bezel, housingDepth,
+            outerWidth: widthMm + bezel.left + bezel.right,
+            outerHeight: heightMm + bezel.top + bezel.bottom
+        };
+    }
+
+    // 해상도를 모를 때: 짧은 변 1440px 기준으로 비율에 맞춤
+    static defaultResolution(ratioW, ratioH) {
+        const ratio = ratioW / ratioH;
+        return ratio >= 1
+            ? { w: Math.round(1440 * ratio), h: 1440 }
+            : { w: 1440, h: Math.round(1440 / ratio) };
+    }
+
+    // 화면 표면 위의 점 (그룹 로컬). u, v: -1(왼쪽/아래) ~ 1(오른쪽/위)
+    static screenPoint(size, u, v) {
+        const y = v * size.height / 2;
+        if (!size.radius) return new THREE.Vector3(u * size.width / 2, y, 0);
+
+        // 곡면: 가장자리가 사용자 쪽(+z)으로 휘어짐
+        const phi = (u * size.width / 2) / size.radius;
+        return new THREE.Vector3(size.radius * Math.sin(phi), y, size.radius * (1 - Math.cos(phi)) + 0.5);
+    }
+
+    // 대각선(inch)과 비율로 화면 활성 영역(mm) 계산
+    static panelSize(inches, ratioW, ratioH) {
+        const diagonalMm = inches * 25.4;
+        const ratio = ratioW / ratioH;
+        const heightMm = Math.sqrt((diagonalMm * diagonalMm) / (ratio * ratio + 1));
+        return { widthMm: heightMm * ratio, heightMm };
+    }
+
+    static createCollisionVolumes(dims, radius) {
+        const { widthMm, heightMm, bezel, housingDepth, outerWidth, outerHeight } = dims;
+        const centerY = (bezel.top - bezel.bottom) / 2;
+
+        if (!radius) {
+            return [new OBB(
+                new THREE.Vector3((bezel.right - bezel.left) / 2, centerY, -housingDepth / 2 + 0.2),
+                new THREE.Vector3(outerWidth / 2, outerHeight / 2, housingDepth / 2 + 0.3)
+            )];
+        }
+
+        // 본체 호 각도 범위 (createMonitor의 ExtrudeGeometry와 동일)
+        const theta = widthMm / radius;
+        const angleStart = -theta / 2 - bezel.right / radius;
+        const angleEnd = theta / 2 + bezel.left / radius;
+        const outer = radius + housingDepth;
+        const SEGMENTS = 8;
+        const step = (angleEnd - angleStart) / SEGMENTS;
+
+        const volumes = [];
+        for (let i = 0; i < SEGMENTS; i++) {
+            const phi = angleStart + step * (i + 0.5);
+            const innerChord = radius * Math.cos(step / 2);
+            const centerRadius = (innerChord + outer) / 2;
+            const sin = Math.sin(phi);
+            const cos = Math.cos(phi);
+
+            // 축: x = 호의 접선, y = 위, z = x × y
+            const rotation = new THREE.Matrix3().set(
+                -cos, 0, -sin,
+                0, 1, 0,
+                sin, 0, -cos
+            );
+            volumes.push(new OBB(
+                new THREE.Vector3(-centerRadius * sin, centerY, radius - centerRadius * cos),
+                new THREE.Vector3(outer * Math.sin(step / 2), outerHeight / 2, (outer - innerChord) / 2),
+                rotation
+            ));
+        }
+        return volumes;
+    }
+
+    // 스탠드/암 메쉬. 크기/위치는 SceneManager.updateMount에서 매 변경마다 맞춤
+    static createMount(mount) {
+        const material = new THREE.MeshLambertMaterial({ color: 0x2a2a2a });
+        const unitBox = () => {
+            const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), material);
+            mesh.frustumCulled = false;
+            return mesh;
+        };
+
+        const group = new THREE.Group();
+        group.userData = { type: mount.type, parts: {} };
+
+        const names = mount.type === 'arm'
+            ? ['clamp', 'pole', 'upperArm', 'foreArm']
+            : ['base', 'neck'];
+        names.forEach(name => {
+            const mesh = unitBox();
+            group.userData.parts[name] = mesh;
+            group.add(mesh);
+        });
+
+        return group;
+    }
+
+    static createScreenTexture(name, inches, rW, rH, resolution) {
         const safeRW = Math.max(0.1, parseFloat(rW) || 1);
         const safeRH = Math.max(0.1, parseFloat(rH) || 1);
 
@@ -141,7 +316,7 @@ class MonitorFactory {
 
         ctx.fillStyle = '#888';
         ctx.font = '50px "Segoe UI", Arial, sans-serif';
-        ctx.fillText(`${inches}" (${rW}:${rH})`, cx, cy + 60);
+        ctx.fillText(`${inches}" (${rW}:${rH}) · ${resolution.w}×${resolution.h}`, cx, cy + 60);
 
         const tex = new THREE.CanvasTexture(canvas);
         tex.colorSpace = THREE.SRGBColorSpace;
@@ -161,8 +336,17 @@ class SceneManager {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x202020);
 
-        this.camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 10, 50000);
+        this.camera = new THREE.PerspectiveCamera(CAMERA_DEFAULTS.fov, container.clientWidth / container.clientHeight, 10, 50000);
         this.camera.position.set(0, 1000, 2000);
+        this.perspectiveCamera = this.camera;
+
+        // 평면도 모드: 책상을 바로 위에서 내려다보는 직교 카메라
+        this.planCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 10, 50000);
+        this.planHeight = 1000; // zoom = 1일 때 화면 높이에 들어가는 길이(mm)
+        this.planMode = false;
+        this.savedView = null;
+        this.cameraTween = null; // 진행 중인 카메라 이동 애니메이션
+        this.povHorizontalFov = null; // 앉은 시점의 수평 시야각(degree). 창 비율이 바뀌면 수직 시야각 재계산
 
         // 렌더러 설정
         const aaEnabled = config.aa ?? true;
@@ -175,6 +359,7 @@ class SceneManager {
         this.renderer.domElement.style.width = '100%';
         this.renderer.domElement.style.height = '100%';
         container.appendChild(this.renderer.domElement);
+        this.exportRenderer = null; // 이미지 내보내기용 오프스크린 렌더러 (처음 내보낼 때 만들어 재사용)
 
         this.setupLights();
 
@@ -182,36 +367,143 @@ class SceneManager {
         this.orbitControls.enableDamping = true;
         this.orbitControls.dampingFactor = 0.1;
         this.orbitControls.maxPolarAngle = Math.PI / 2;
+        this.orbitControls.addEventListener('start', () => { this.cameraTween = null; }); // 직접 조작하면 애니메이션 중단
 
-        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
-        this.transformControls.addEventListener('dragging-changed', (event) => {
-            this.orbitControls.enabled = !event.value;
-        });
+        this.transformControls = this.createTransformControls();
         this.scene.add(this.transformControls);
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.monitors = []; 
-        this.deskMesh = null;
+        this.peripherals = []; // 키보드, 스피커 등 (PeripheralFactory). id는 모니터와 같은 번호 공간
+        // 화면 콘텐츠 (ScreenContent). screens = 화면별로 따로 지정한 원본 (id -> source)
+        this.screenContent = { wallpaper: null, mode: 'span', screens: new Map() };
+        this.mounts = new Map(); // monitor id -> mount group
+        this.deskSize = null; // updateDesk: { width, depth, height, thickness, base, outline, extent }
+        this.deskMesh = null; // 상판 (측정/레이 대상)
+        this.deskBase = null; // 다리 + 바닥 격자
+        this.walls = []; // DeskShape.wallPlanes
+        this.wallGroup = null;
+        this.viewerMarker = null;
+        this.blockOverlap = false;
+        this.magnetSnap = null; // 자석 스냅 거리(mm), null = 끔
+        this.lengthUnit = Units.DEFAULT; // 치수선 라벨 단위 (App이 설정)
+        this.snapGuides = null;
+        this.selectedIds = new Set();
+        this.primaryId = null; // 마지막으로 클릭한 모니터 (정렬 기준)
+        this.selectionPivot = new THREE.Object3D(); // 다중 선택 시 기즈모가 붙는 공통 중심
+        this.scene.add(this.selectionPivot);
+        this.pivotOffsets = new Map(); // id -> 피벗 기준 상대 행렬
+        this.selectionHelpers = [];
+        this.marquee = null;
+        this.dragStartState = null;
         this.ambientLight = null;
         this.directionalLight = null;
 
+        // 평면도 치수선 오버레이 (viewBox = 직교 카메라가 보는 범위, 단위 mm)
+        this.planOverlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.planOverlay.id = 'plan-overlay';
+        container.appendChild(this.planOverlay);
+        this.planDirty = true;
+        this.planUnit = null;
+
+        // 측정 도구
+        this.measureMode = false;
+        this.measureStart = null; // 첫 번째로 찍은 점 { ref, world }
+        this.measurements = []; // App의 측정 목록 (참조)
+        this.measureGroup = new THREE.Group(); // 저장된 치수선/라벨
+        this.scene.add(this.measureGroup);
+        this.measureLines = null; // [선, 끝점]. 치수선 개수가 같으면 위치만 갱신
+        this.measureLabels = []; // 치수선 순서대로의 라벨. 글자가 바뀐 것만 다시 그림
+        this.measureCursor = null; // 스냅 위치 + 첫 점에서 이어지는 선
+
         this.renderer.domElement.addEventListener('pointerdown', e => this.onPointerDown(e), { capture: true });
         
         window.addEventListener('keydown', e => {
             const tagName = document.activeElement ? document.activeElement.tagName.toUpperCase() : '';
             if (tagName === 'INPUT' || tagName === 'TEXTAREA') return;
 
-            if ((e.key === 'Delete' || e.key === 'Backspace') && this.transformControls.object) {
-                window.removeMonitor(this.transformControls.object.userData.id);
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedIds.size > 0) {
+                window.appInstance.removeObjects([...this.selectedIds]);
+            }
+            if (e.key === 'Escape') {
+                if (this.measureStart) this.cancelMeasure();
+                else if (this.measureMode) window.appInstance.toggleMeasureMode();
+                else this.clearSelection();
             }
         });
         
         window.addEventListener('resize', () => this.onResize());
+        window.addEventListener('pointermove', e => {
+            this.updateMarquee(e);
+            this.updateMeasureCursor(e);
+        });
+        window.addEventListener('pointerup', e => this.endMarquee(e));
         
         this.animate();
     }
 
+    createTransformControls() {
+        const controls = new TransformControls(this.camera, this.renderer.domElement);
+        controls.addEventListener('dragging-changed', (event) => {
+            this.orbitControls.enabled = !event.value;
+            const obj = controls.object;
+            if (event.value && obj) {
+                // 이미 겹친 상태에서 시작한 드래그는 막지 않음
+                this.dragStartState = {
+                    blocked: this.isSelectionBlocked(),
+                    position: obj.position.clone(),
+                    quaternion: obj.quaternion.clone()
+                };
+            }
+            // 드래그 종료 시 변경 사항 알림 (자동 저장 등)
+            if (!event.value) {
+                this.updateSnapGuides([]);
+                window.appInstance?.onLayoutChanged();
+            }
+        });
+        controls.addEventListener('objectChange', () => {
+            const obj = controls.object;
+            const isGroup = obj === this.selectionPivot;
+            if (!obj || !(obj.userData.isMonitor || obj.userData.isPeripheral || isGroup)) return;
+            const moving = this.getSelectedObjects();
+            if (isGroup) this.applyPivotTransform();
+
+            // 주변 모니터/주변기기 가장자리에 자석 스냅 (이동 중인 축만)
+            if (this.magnetSnap && controls.getMode() === 'translate' && controls.dragging) {
+                const others = this.getObjects().filter(m => !moving.includes(m));
+                const { offset, guides } = MagneticSnap.find(moving, others, controls.axis || '', this.magnetSnap);
+                obj.position.add(offset);
+                if (isGroup) this.applyPivotTransform();
+                this.updateSnapGuides(guides);
+            }
+
+            // 스탠드/암이 닿을 수 있는 범위로 제한. 그룹은 모양 유지를 위해 경고만 표시
+            const issues = isGroup
+                ? [...new Set(moving.flatMap(m => this.constrainToMount(m, false)))]
+                : this.constrainToMount(obj, true);
+
+            // 겹침 차단: 닿는 순간 마지막으로 겹치지 않던 위치에 멈춤
+            const state = this.dragStartState;
+            if (this.blockOverlap && state && !state.blocked) {
+                if (this.isSelectionBlocked()) {
+                    obj.position.copy(state.position);
+                    obj.quaternion.copy(state.quaternion);
+                    if (isGroup) this.applyPivotTransform();
+                } else {
+                    state.position.copy(obj.position);
+                    state.quaternion.copy(obj.quaternion);
+                }
+            }
+            moving.forEach(m => this.updateMount(m));
+            this.selectionHelpers.forEach(helper => helper.update());
+            this.updateMeasurements();
+            this.planDirty = true;
+            window.appInstance?.onMonitorTransforming(this.primaryId ?? moving[0]?.userData.id, issues);
+        });
+        return controls;
+    }
+
     setupLights() {
         this.ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
         this.scene.add(this.ambientLight);
@@ -226,14 +518,63 @@ class SceneManager {
         if (this.directionalLight) this.directionalLight.visible = visible;
     }
 
-    updateDesk(w, d, c) {
-        if (this.deskMesh) this.scene.remove(this.deskMesh);
-        const geo = new THREE.BoxGeometry(w, 30, d);
+    // desk/walls: LayoutSchema의 desk, walls 형식. 상판 윗면이 y = 0, 바닥은 y = -height
+    updateDesk(desk, walls) {
+        [this.deskMesh, this.deskBase, this.wallGroup].forEach(object => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+
+        const base = DeskShape.basePoints(desk);
+        const outline = DeskShape.outline(desk);
+        const extent = FloorPlan.extent(outline);
+        const { height, thickness } = desk;
+
+        // 윤곽 (x, z) → Shape (x, -z), 돌출 방향 → +y
+        const geo = new THREE.ExtrudeGeometry(
+            new THREE.Shape(outline.map(p => new THREE.Vector2(p.x, -p.z))),
+            { depth: thickness, bevelEnabled: false, curveSegments: 1 }
+        );
+        geo.rotateX(-Math.PI / 2);
+        geo.translate(0, -thickness, 0);
         // [최적화] Standard -> Lambert 변경
-        const mat = new THREE.MeshLambertMaterial({ color: c });
+        const mat = new THREE.MeshLambertMaterial({ color: desk.color });
         this.deskMesh = new THREE.Mesh(geo, mat);
-        this.deskMesh.position.y = -15; 
         this.scene.add(this.deskMesh);
+
+        this.deskBase = new THREE.Group();
+        const legHeight = height - thickness;
+        if (legHeight > 0) {
+            const legGeo = new THREE.BoxGeometry(DeskShape.LEG_SIZE, legHeight, DeskShape.LEG_SIZE);
+            const legMat = new THREE.MeshLambertMaterial({ color: 0x444444 });
+            DeskShape.legPositions(base).forEach(p => {
+                const leg = new THREE.Mesh(legGeo, legMat);
+                leg.position.set(p.x, -thickness - legHeight / 2, p.z);
+                this.deskBase.add(leg);
+            });
+        }
+        const grid = new THREE.GridHelper(8000, 16, 0x555555, 0x333333);
+        grid.position.set((extent.minX + extent.maxX) / 2, -height, (extent.minZ + extent.maxZ) / 2);
+        this.deskBase.add(grid);
+        this.scene.add(this.deskBase);
+
+        this.walls = DeskShape.wallPlanes(extent, walls);
+        this.wallGroup = new THREE.Group();
+        const wallMat = new THREE.MeshLambertMaterial({ color: 0xd8d8d8 });
+        DeskShape.wallRects(extent, this.walls).forEach(rect => {
+            const wall = new THREE.Mesh(new THREE.BoxGeometry(rect.maxX - rect.minX, walls.height, rect.maxZ - rect.minZ), wallMat);
+            wall.position.set((rect.minX + rect.maxX) / 2, walls.height / 2 - height, (rect.minZ + rect.maxZ) / 2);
+            this.wallGroup.add(wall);
+        });
+        this.scene.add(this.wallGroup);
+
+        this.deskSize = { width: desk.width, depth: desk.depth, height, thickness, base, outline, extent };
+        this.planDirty = true;
+        this.monitors.forEach(m => this.updateMount(m)); // 암 클램프는 책상 뒤 가장자리 기준
     }
 
     setSnap(mode, enabled, value) {
@@ -241,20 +582,39 @@ class SceneManager {
             this.transformControls.translationSnap = enabled ? parseFloat(value) : null;
         } else if (mode === 'rotate') {
             this.transformControls.rotationSnap = enabled ? THREE.MathUtils.degToRad(parseFloat(value)) : null;
+        } else if (mode === 'magnet') {
+            this.magnetSnap = enabled ? parseFloat(value) : null;
+        }
+    }
+
+    updateSnapGuides(guides) {
+        if (!this.snapGuides) {
+            this.snapGuides = new THREE.LineSegments(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: 0xff44cc, depthTest: false, transparent: true })
+            );
+            this.snapGuides.renderOrder = 999;
+            this.snapGuides.frustumCulled = false;
+            this.scene.add(this.snapGuides);
         }
+
+        this.snapGuides.visible = guides.length > 0;
+        this.snapGuides.geometry.setAttribute('position', new THREE.Float32BufferAttribute(MagneticSnap.guidePoints(guides), 3));
     }
 
     updateLockState(id, isLocked) {
-        const monitor = this.monitors.find(m => m.userData.id === id);
+        const monitor = this.findObject(id);
         if (monitor) {
             monitor.userData.locked = isLocked;
-            if (this.transformControls.object === monitor && isLocked) {
-                this.transformControls.detach();
+            if (isLocked && this.selectedIds.has(id)) {
+                this.selectedIds.delete(id);
+                this.attachSelection();
             }
         }
     }
 
     addOrUpdateMonitor(config, prevTransform = null) {
+        const kept = this.keepSelection(config.id);
         this.removeMonitorMesh(config.id);
         
         const group = MonitorFactory.createMonitor(config);
@@ -263,25 +623,418 @@ class SceneManager {
             group.position.copy(prevTransform.position);
             group.rotation.x = prevTransform.rotation.x;
             group.rotation.y = prevTransform.rotation.y;
+            group.rotation.z += prevTransform.roll ?? 0; // 세로 모드 전환 시에도 롤 각도 유지
         } else {
             group.position.set(0, group.userData.distanceToBottom + 50, 0);
+            // 마운트가 있으면 기본 위치를 도달 가능한 범위 안으로 이동
+            this.constrainToMount(group, true);
         }
 
         this.scene.add(group);
         this.monitors.push(group);
+        this.updateMount(group);
         
-        if (!config.locked) {
+        if (kept) {
+            this.setSelection(kept.ids, kept.primaryId);
+        } else if (!config.locked) {
             this.selectMonitor(group);
         }
     }
 
+    // 여러 개를 선택한 상태에서 그중 하나의 메시를 다시 만들 때 되돌릴 선택 (아니면 null)
+    keepSelection(id) {
+        if (this.selectedIds.size < 2 || !this.selectedIds.has(id)) return null;
+        return { ids: [...this.selectedIds], primaryId: this.primaryId };
+    }
+
+    // 모니터와 주변기기 공통
+    // 레이아웃 파일의 회전은 Euler XYZ. 모니터 객체는 YXZ 순서라 쿼터니언을 거쳐 변환
+    getMonitorTransform(id) {
+        const monitor = this.findObject(id);
+        if (!monitor) return null;
+        const rotation = new THREE.Euler().setFromQuaternion(monitor.quaternion, 'XYZ');
+        return {
+            position: { x: monitor.position.x, y: monitor.position.y, z: monitor.position.z },
+            rotation: { x: rotation.x, y: rotation.y, z: rotation.z }
+        };
+    }
+
+    // 저장된 위치/회전을 그대로 복원 (세로 모드 회전 포함)
+    setMonitorTransform(id, transform) {
+        const monitor = this.findObject(id);
+        if (!monitor || !transform) return;
+        const { position, rotation } = transform;
+        if (position) monitor.position.set(position.x, position.y, position.z);
+        if (rotation) monitor.quaternion.setFromEuler(new THREE.Euler(rotation.x, rotation.y, rotation.z, 'XYZ'));
+        this.updateMount(monitor);
+    }
+
+    // 메시를 다시 만들 때 넘길 현재 자세 (세로 모드 전환 시에도 롤 유지)
+    captureMonitorState(id) {
+        const monitor = this.findObject(id);
+        if (!monitor) return null;
+        return {
+            position: monitor.position.clone(),
+            rotation: monitor.rotation.clone(),
+            roll: this.getMonitorRoll(monitor)
+        };
+    }
+
+    // 카드 입력용 위치(mm)/각도(°). 틸트는 화면 윗부분이 뒤로 젖혀지면 양수, 롤은 세로 모드 회전을 뺀 값
+    getMonitorPose(id) {
+        const monitor = this.findObject(id);
+        if (!monitor) return null;
+        const { radToDeg } = THREE.MathUtils;
+        return {
+            x: monitor.position.x,
+            y: monitor.position.y,
+            z: monitor.position.z,
+            yaw: radToDeg(monitor.rotation.y),
+            tilt: -radToDeg(monitor.rotation.x),
+            roll: radToDeg(this.getMonitorRoll(monitor))
+        };
+    }
+
+    setMonitorPose(id, pose) {
+        const monitor = this.findObject(id);
+        if (!monitor) return;
+        const { degToRad } = THREE.MathUtils;
+        monitor.position.set(pose.x, pose.y, pose.z);
+        monitor.rotation.set(
+            -degToRad(pose.tilt),
+            degToRad(pose.yaw),
+            degToRad(pose.roll) + (monitor.userData.isPortrait ? -Math.PI / 2 : 0)
+        );
+        this.updateMount(monitor);
+    }
+
+    getMonitorRoll(monitor) {
+        return monitor.rotation.z - (monitor.userData.isPortrait ? -Math.PI / 2 : 0);
+    }
+
+    // ids 순서대로 템플릿에 맞춰 배치 후 책상 안으로 이동. 반환값: 책상 안에 모두 들어갔는지
+    arrangeMonitors(ids, template, options) {
+        const targets = ids
+            .map(id => this.monitors.find(m => m.userData.id === id))
+            .filter(m => m && !m.userData.locked);
+        if (targets.length === 0) return true;
+
+        LayoutArranger.plan(template, targets, options)
+            .forEach((transform, id) => this.setMonitorTransform(id, transform));
+
+        const offset = LayoutArranger.fitOffset(LayoutArranger.bounds(targets, this.mounts), this.deskSize);
+        targets.forEach(monitor => {
+            monitor.position.x += offset.x;
+            monitor.position.z += offset.z;
+            this.updateMount(monitor);
+        });
+        return offset.fits;
+    }
+
+    // 정렬 기준: referenceId 모니터, 없으면 가장 낮은 하단 / 가장 높은 상단 / 목록 첫 모니터
+    alignMonitors(ids, mode, referenceId = null) {
+        const targets = ids
+            .map(id => this.monitors.find(m => m.userData.id === id))
+            .filter(m => m && !m.userData.locked);
+        if (targets.length < 2) return;
+
+        const reference = targets.find(m => m.userData.id === referenceId) || null;
+        const boxes = new Map(targets.map(m => [m, MagneticSnap.bounds([m])]));
+
+        if (mode === 'bottom' || mode === 'top') {
+            const edge = (m) => mode === 'bottom' ? boxes.get(m).min.y : boxes.get(m).max.y;
+            const edges = targets.map(edge);
+            const value = reference ? edge(reference) : (mode === 'bottom' ? Math.min(...edges) : Math.max(...edges));
+            targets.forEach(m => { m.position.y += value - edge(m); });
+        } else if (mode === 'distribute') {
+            // 양 끝은 그대로 두고 사이 간격을 같게
+            if (targets.length < 3) return;
+            const sorted = [...targets].sort((a, b) => boxes.get(a).getCenter(new THREE.Vector3()).x - boxes.get(b).getCenter(new THREE.Vector3()).x);
+            const first = boxes.get(sorted[0]);
+            const last = boxes.get(sorted[sorted.length - 1]);
+            const inner = sorted.slice(1, -1);
+            const widths = inner.reduce((sum, m) => sum + boxes.get(m).max.x - boxes.get(m).min.x, 0);
+            const gap = (last.min.x - first.max.x - widths) / (sorted.length - 1);
+
+            let cursor = first.max.x + gap;
+            inner.forEach(m => {
+                const box = boxes.get(m);
+                m.position.x += cursor - box.min.x;
+                cursor += box.max.x - box.min.x + gap;
+            });
+        } else if (mode === 'angle') {
+            // 틸트/스위블만 맞춤 (세로 모드 회전은 유지)
+            const source = reference || targets[0];
+            targets.forEach(m => {
+                m.rotation.x = source.rotation.x;
+                m.rotation.y = source.rotation.y;
+            });
+        }
+
+        targets.forEach(m => this.updateMount(m));
+    }
+
+    // --- Mount (스탠드 / VESA 암) ---
+
+    getVesaPoint(monitor) {
+        monitor.updateMatrixWorld(true);
+        return monitor.localToWorld(monitor.userData.vesaLocal.clone());
+    }
+
+    // 책상 뒤 가장자리 안쪽의 클램프 기둥 위치 (상판 기준 y = 0)
+    getArmPole(mount) {
+        const { outline, extent } = this.deskSize;
+        return new THREE.Vector3(mount.clampX, 0, (DeskShape.edgeAt(outline, mount.clampX, 'back') ?? extent.minZ) + 40);
+    }
+
+    // 마운트 한계를 벗어난 항목 반환. clamp = true면 한계 안으로 위치/회전 보정
+    constrainToMount(monitor, clamp = false) {
+        const mount = monitor.userData.mount;
+        if (!mount) return [];
+
+        const issues = [];
+        const { degToRad, radToDeg } = THREE.MathUtils;
+
+        // 틸트: 양수 = 화면 윗부분이 뒤로 젖혀짐
+        const tilt = -radToDeg(monitor.rotation.x);
+        if (tilt < mount.tiltMin - 0.01 || tilt > mount.tiltMax + 0.01) {
+            issues.push('tilt');
+            if (clamp) monitor.rotation.x = -degToRad(THREE.MathUtils.clamp(tilt, mount.tiltMin, mount.tiltMax));
+        }
+
+        // 스위블: 스탠드는 받침 방향 기준, 암은 정면 기준
+        const reference = mount.type === 'stand' ? mount.baseYaw : 0;
+        const swivel = THREE.MathUtils.euclideanModulo(radToDeg(monitor.rotation.y) - reference + 180, 360) - 180;
+        if (swivel < mount.swivelMin - 0.01 || swivel > mount.swivelMax + 0.01) {
+            issues.push('swivel');
+            if (clamp) monitor.rotation.y = degToRad(reference + THREE.MathUtils.clamp(swivel, mount.swivelMin, mount.swivelMax));
+        }
+
+        if (monitor.userData.isPortrait && !mount.pivot) issues.push('pivot');
+
+        if (mount.type === 'stand') {
+            // 높이: 책상 상판 ~ 본체 하단
+            const bottom = monitor.position.y - monitor.userData.distanceToBottom;
+            if (bottom < mount.minHeight - 0.5 || bottom > mount.maxHeight + 0.5) {
+                issues.push('height');
+                if (clamp) monitor.position.y = THREE.MathUtils.clamp(bottom, mount.minHeight, mount.maxHeight) + monitor.userData.distanceToBottom;
+            }
+        } else if (mount.type === 'arm') {
+            // 높이: 책상 상판 ~ VESA 중심
+            let vesa = this.getVesaPoint(monitor);
+            if (vesa.y < mount.minHeight - 0.5 || vesa.y > mount.maxHeight + 0.5) {
+                issues.push('height');
+                if (clamp) monitor.position.y += THREE.MathUtils.clamp(vesa.y, mount.minHeight, mount.maxHeight) - vesa.y;
+            }
+
+            // 도달 거리: 클램프 기둥 ~ VESA 중심 수평 거리
+            vesa = this.getVesaPoint(monitor);
+            const pole = this.getArmPole(mount);
+            const dx = vesa.x - pole.x;
+            const dz = vesa.z - pole.z;
+            const dist = Math.hypot(dx, dz);
+            if (dist > mount.reach + 0.5) {
+                issues.push('reach');
+                if (clamp) {
+                    const scale = mount.reach / dist;
+                    monitor.position.x += pole.x + dx * scale - vesa.x;
+                    monitor.position.z += pole.z + dz * scale - vesa.z;
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    updateMount(monitor) {
+        const id = monitor.userData.id;
+        const mount = monitor.userData.mount;
+        let mountObj = this.mounts.get(id);
+
+        if (!mount || (mountObj && mountObj.userData.type !== mount.type)) {
+            this.removeMount(id);
+            mountObj = null;
+            if (!mount) return;
+        }
+        if (!mountObj) {
+            mountObj = MonitorFactory.createMount(mount);
+            this.scene.add(mountObj);
+            this.mounts.set(id, mountObj);
+        }
+
+        const parts = mountObj.userData.parts;
+        const vesa = this.getVesaPoint(monitor);
+        const height = Math.max(1, vesa.y);
+
+        if (mount.type === 'stand') {
+            const yaw = THREE.MathUtils.degToRad(mount.baseYaw);
+            const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+            const neckPos = vesa.clone().addScaledVector(forward, -15);
+
+            parts.neck.scale.set(60, height, 25);
+            parts.neck.position.set(neckPos.x, height / 2, neckPos.z);
+            parts.neck.rotation.y = yaw;
+
+            // 받침은 기둥보다 앞쪽으로 뻗어 나옴
+            const basePos = neckPos.clone().addScaledVector(forward, mount.baseDepth / 2 - 40);
+            parts.base.scale.set(Math.max(1, mount.baseWidth), 10, Math.max(1, mount.baseDepth));
+            parts.base.position.set(basePos.x, 5, basePos.z);
+            parts.base.rotation.y = yaw;
+        } else {
+            const pole = this.getArmPole(mount);
+            // 상판 위 20mm ~ 상판 아래 30mm를 물도록 두께에 맞춤
+            const thickness = this.deskSize.thickness;
+            parts.clamp.scale.set(60, thickness + 50, 90);
+            parts.clamp.position.set(pole.x, -(thickness + 10) / 2, pole.z);
+
+            parts.pole.scale.set(30, height, 30);
+            parts.pole.position.set(pole.x, height / 2, pole.z);
+
+            // 같은 길이의 2관절 암으로 팔꿈치 위치 계산
+            const top = new THREE.Vector3(pole.x, height, pole.z);
+            const target = new THREE.Vector3(vesa.x, height, vesa.z);
+            const segment = mount.reach / 2;
+            const dist = top.distanceTo(target);
+            const mid = top.clone().lerp(target, 0.5);
+            const dir = target.clone().sub(top);
+            const side = dist > 0.001
+                ? new THREE.Vector3(-dir.z, 0, dir.x).normalize()
+                : new THREE.Vector3(1, 0, 0);
+            const elbow = mid.addScaledVector(side, Math.sqrt(Math.max(0, segment * segment - (dist / 2) ** 2)));
+
+            const placeSegment = (mesh, from, to) => {
+                const length = Math.max(1, from.distanceTo(to));
+                mesh.scale.set(40, 30, length);
+                mesh.position.copy(from).lerp(to, 0.5);
+                mesh.lookAt(to);
+            };
+            placeSegment(parts.upperArm, top, elbow);
+            placeSegment(parts.foreArm, elbow, target);
+        }
+    }
+
+    // 겹침 = 빨강, 책상 관통/이탈, 벽 관통 = 주황
+    highlightCollisions(result) {
+        const overlapping = new Set([...result.overlaps.flat(), ...result.peripherals.map(hit => hit.monitorId)]);
+        const deskIssues = new Set([...result.belowDesk, ...result.offDesk, ...result.throughWall]);
+
+        this.monitors.forEach(m => {
+            const body = m.userData.body;
+            if (!body) return;
+            const id = m.userData.id;
+            const color = overlapping.has(id) ? 0xaa0000 : (deskIssues.has(id) ? 0x884400 : 0x000000);
+            body.material.emissive.setHex(color);
+        });
+
+        // 주변기기: 모니터/스탠드와 닿음 = 빨강, 벽 관통 = 주황
+        const hitItems = new Set(result.peripherals.map(hit => hit.itemId));
+        this.peripherals.forEach(item => {
+            const id = item.userData.id;
+            item.userData.material.emissive.setHex(hitItems.has(id) ? 0xaa0000 : (deskIssues.has(id) ? 0x884400 : 0x000000));
+        });
+    }
+
+    // --- Viewer (눈 위치) ---
+
+    updateViewer(eye, visible) {
+        if (!this.viewerMarker) {
+            const material = new THREE.MeshBasicMaterial({ color: 0xffaa33 });
+            const head = new THREE.Mesh(new THREE.SphereGeometry(30, 16, 12), material);
+            const sightLines = new THREE.LineSegments(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.5 })
+            );
+            sightLines.frustumCulled = false;
+
+            this.viewerMarker = new THREE.Group();
+            this.viewerMarker.add(head, sightLines);
+            this.viewerMarker.userData = { head, sightLines };
+            this.scene.add(this.viewerMarker);
+        }
+
+        const { head, sightLines } = this.viewerMarker.userData;
+        this.viewerMarker.visible = visible;
+        head.position.copy(eye);
+
+        // 눈 -> 각 화면 중심 시선
+        const points = [];
+        this.monitors.forEach(m => points.push(eye.x, eye.y, eye.z, m.position.x, m.position.y, m.position.z));
+        sightLines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        sightLines.geometry.computeBoundingSphere();
+    }
+
+    removeMount(id) {
+        const mountObj = this.mounts.get(id);
+        if (!mountObj) return;
+
+        this.scene.remove(mountObj);
+        mountObj.traverse(c => {
+            if (c.isMesh) c.geometry.dispose();
+        });
+        Object.values(mountObj.userData.parts)[0]?.material.dispose();
+        this.mounts.delete(id);
+    }
+
+    clearMonitors() {
+        [...this.monitors].forEach(m => this.removeMonitorMesh(m.userData.id));
+    }
+
+    // --- 주변기기 ---
+
+    getObjects() {
+        return [...this.monitors, ...this.peripherals];
+    }
+
+    findObject(id) {
+        return this.getObjects().find(o => o.userData.id === id);
+    }
+
+    addOrUpdatePeripheral(config, prevTransform = null) {
+        const kept = this.keepSelection(config.id);
+        this.removePeripheralMesh(config.id);
+        const group = PeripheralFactory.createPeripheral(config);
+
+        if (prevTransform) {
+            group.position.copy(prevTransform.position);
+            group.rotation.copy(prevTransform.rotation);
+        } else {
+            // 눈 앞쪽 책상 가장자리에서 조금 안쪽
+            const { outline, extent } = this.deskSize;
+            const front = DeskShape.edgeAt(outline, 0, 'front') ?? extent.maxZ;
+            group.position.set(0, 0, front - config.size.depth / 2 - 100);
+        }
+
+        this.scene.add(group);
+        this.peripherals.push(group);
+        if (kept) this.setSelection(kept.ids, kept.primaryId);
+        else if (!config.locked) this.setSelection([config.id], config.id);
+    }
+
+    removePeripheralMesh(id) {
+        const index = this.peripherals.findIndex(p => p.userData.id === id);
+        if (index < 0) return;
+        const obj = this.peripherals[index];
+        if (this.transformControls.object === obj) this.transformControls.detach();
+        if (this.selectedIds.delete(id)) this.attachSelection();
+        this.scene.remove(obj);
+        this.peripherals.splice(index, 1);
+        obj.traverse(c => { if (c.isMesh) c.geometry.dispose(); });
+        obj.userData.material.dispose();
+    }
+
+    clearPeripherals() {
+        [...this.peripherals].forEach(p => this.removePeripheralMesh(p.userData.id));
+    }
+
     removeMonitorMesh(id) {
         const idx = this.monitors.findIndex(m => m.userData.id === id);
         if (idx > -1) {
             const obj = this.monitors[idx];
             if (this.transformControls.object === obj) this.transformControls.detach();
+            if (this.selectedIds.delete(id)) this.attachSelection();
             this.scene.remove(obj);
             this.monitors.splice(idx, 1);
+            this.removeMount(id);
             
             obj.traverse(c => {
                 if (c.isMesh) {
@@ -293,6 +1046,8 @@ class SceneManager {
                     if(c.material.map) c.material.map.dispose();
                 }
             });
+            obj.userData.labelTexture.dispose();
+            obj.userData.contentTexture?.dispose();
         }
     }
 
@@ -334,71 +1089,713 @@ class SceneManager {
     }
 
     selectMonitor(obj) { 
-        if (this.transformControls.parent !== this.scene) {
-            this.scene.add(this.transformControls);
-        }
-        this.transformControls.attach(obj); 
+        this.setSelection([obj.userData.id], obj.userData.id);
     }
 
-    onResize() {
-        if (!this.container) return;
-        this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    // --- Selection (다중 선택) ---
+
+    getSelectedMonitors() {
+        return this.monitors.filter(m => this.selectedIds.has(m.userData.id));
     }
 
-    recreateRenderer(config) {
-        // 1. Dispose old renderer and controls
-        this.renderer.dispose();
-        this.renderer.domElement.remove();
-        this.orbitControls.dispose();
-        this.transformControls.dispose();
+    // 모니터 + 주변기기 (기즈모로 함께 움직이는 대상)
+    getSelectedObjects() {
+        return this.getObjects().filter(o => this.selectedIds.has(o.userData.id));
+    }
 
-        // 2. Create new renderer with new config
-        const aaEnabled = config.aa ?? true;
-        this.renderer = new THREE.WebGLRenderer({ antialias: aaEnabled, alpha: false });
-        this.renderer.setPixelRatio(1);
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-        
-        this.renderer.domElement.style.display = 'block';
-        this.renderer.domElement.style.width = '100%';
-        this.renderer.domElement.style.height = '100%';
-        this.container.appendChild(this.renderer.domElement);
+    // 같은 그룹의 잠기지 않은 모니터 id (그룹이 없으면 자기 자신만)
+    getGroupIds(obj) {
+        const group = obj.userData.group;
+        if (!group) return [obj.userData.id];
+        return this.monitors
+            .filter(m => m.userData.group === group && !m.userData.locked)
+            .map(m => m.userData.id);
+    }
 
-        // 3. Re-create controls with the new renderer's domElement
-        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
-        this.orbitControls.enableDamping = true;
-        this.orbitControls.dampingFactor = 0.1;
-        this.orbitControls.maxPolarAngle = Math.PI / 2;
+    setSelection(ids, primaryId = null) {
+        this.selectedIds = new Set(ids);
+        this.primaryId = this.selectedIds.has(primaryId) ? primaryId : null;
+        this.attachSelection();
+    }
 
-        // Note: Re-creating transformControls and re-attaching to scene
-        // We need to detach from any object first.
-        if (this.transformControls.object) {
+    // 그룹 단위로 선택에 추가/제거
+    toggleSelection(obj) {
+        const ids = this.getGroupIds(obj);
+        const selected = ids.every(id => this.selectedIds.has(id));
+        ids.forEach(id => selected ? this.selectedIds.delete(id) : this.selectedIds.add(id));
+        this.primaryId = selected ? (this.selectedIds.has(this.primaryId) ? this.primaryId : null) : obj.userData.id;
+        this.attachSelection();
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+    }
+
+    // 선택이 바뀌거나 선택된 모니터가 밖에서 움직였을 때 기즈모 위치 갱신
+    attachSelection() {
+        if (this.transformControls.parent !== this.scene) {
+            this.scene.add(this.transformControls);
+        }
+        this.selectionHelpers.forEach(helper => {
+            this.scene.remove(helper);
+            helper.geometry.dispose();
+            helper.material.dispose();
+        });
+        this.selectionHelpers = [];
+
+        const selected = this.getSelectedObjects();
+        if (selected.length === 0) {
             this.transformControls.detach();
+        } else if (selected.length === 1) {
+            this.transformControls.attach(selected[0]);
+        } else {
+            // 공통 중심에 피벗을 두고 각 모니터의 상대 위치를 기억
+            MagneticSnap.bounds(selected).getCenter(this.selectionPivot.position);
+            this.selectionPivot.quaternion.identity();
+            this.selectionPivot.updateMatrixWorld(true);
+
+            const inverse = this.selectionPivot.matrixWorld.clone().invert();
+            this.pivotOffsets = new Map(selected.map(m => {
+                m.updateMatrixWorld(true);
+                return [m.userData.id, inverse.clone().multiply(m.matrixWorld)];
+            }));
+            this.transformControls.attach(this.selectionPivot);
+
+            this.selectionHelpers = selected.map(m => {
+                const helper = new THREE.BoxHelper(m.userData.body ?? m, 0x4fa3ff);
+                this.scene.add(helper);
+                return helper;
+            });
         }
-        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
-        this.transformControls.addEventListener('dragging-changed', (event) => {
-            this.orbitControls.enabled = !event.value;
+        window.appInstance?.onSelectionChanged();
+    }
+
+    // 피벗의 이동/회전을 선택된 모니터에 강체로 적용
+    applyPivotTransform() {
+        this.selectionPivot.updateMatrixWorld(true);
+        const matrix = new THREE.Matrix4();
+        const scale = new THREE.Vector3();
+        this.getSelectedObjects().forEach(m => {
+            const offset = this.pivotOffsets.get(m.userData.id);
+            if (!offset) return;
+            matrix.multiplyMatrices(this.selectionPivot.matrixWorld, offset);
+            matrix.decompose(m.position, m.quaternion, scale);
+            m.updateMatrixWorld(true);
         });
-        this.scene.add(this.transformControls);
+    }
 
-        // 4. Re-attach event listeners for the new domElement
-        this.renderer.domElement.addEventListener('pointerdown', e => this.onPointerDown(e), { capture: true });
+    // 모니터: 다른 모니터/상판/벽, 주변기기: 벽. 둘 다 서로(모니터 본체, 스탠드 받침)와 닿으면 차단
+    isSelectionBlocked() {
+        const selected = this.getSelectedObjects();
+        const blocked = selected.some(o => o.userData.isMonitor
+            ? CollisionDetector.isBlocked(o, this.monitors, this.deskSize, this.walls)
+            : CollisionDetector.isThroughWall(CollisionDetector.getWorldVolumes(o).flatMap(v => CollisionDetector.getCorners(v)), this.walls));
+        if (blocked) return true;
+        return CollisionDetector.peripheralHits(this.monitors, this.peripherals, this.mounts)
+            .some(hit => this.selectedIds.has(hit.monitorId) || this.selectedIds.has(hit.itemId));
     }
 
-    animate(time) {
-        requestAnimationFrame((t) => this.animate(t));
+    // --- Marquee (Shift + 빈 공간 드래그) ---
 
-        // [최적화] 30 FPS 제한 로직
-        if (!this.lastRenderTime) this.lastRenderTime = 0;
+    startMarquee(event) {
+        const el = document.createElement('div');
+        el.className = 'selection-marquee';
+        this.container.appendChild(el);
+        this.marquee = { el, startX: event.clientX, startY: event.clientY, endX: event.clientX, endY: event.clientY };
+        this.orbitControls.enabled = false;
+    }
+
+    updateMarquee(event) {
+        if (!this.marquee) return;
+        const m = this.marquee;
+        m.endX = event.clientX;
+        m.endY = event.clientY;
+
+        const rect = this.container.getBoundingClientRect();
+        Object.assign(m.el.style, {
+            left: `${Math.min(m.startX, m.endX) - rect.left}px`,
+            top: `${Math.min(m.startY, m.endY) - rect.top}px`,
+            width: `${Math.abs(m.endX - m.startX)}px`,
+            height: `${Math.abs(m.endY - m.startY)}px`
+        });
+    }
+
+    // 화면 중심이 사각형 안에 들어온 모니터를 선택에 추가
+    endMarquee(event) {
+        if (!this.marquee) return;
+        this.updateMarquee(event);
+        const { el, startX, startY, endX, endY } = this.marquee;
+        el.remove();
+        this.marquee = null;
+        this.orbitControls.enabled = true;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const [left, right] = [Math.min(startX, endX), Math.max(startX, endX)];
+        const [top, bottom] = [Math.min(startY, endY), Math.max(startY, endY)];
+        const ids = new Set(this.selectedIds);
+
+        this.getObjects().forEach(m => {
+            if (m.userData.locked) return;
+            const p = m.position.clone().project(this.camera);
+            const x = rect.left + (p.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - p.y) / 2 * rect.height;
+            if (p.z < 1 && x >= left && x <= right && y >= top && y <= bottom) {
+                this.getGroupIds(m).forEach(id => ids.add(id));
+            }
+        });
+        this.setSelection([...ids], this.primaryId);
+    }
+
+    // --- 측정 ---
+
+    setMeasureMode(enabled) {
+        this.measureMode = enabled;
+        this.cancelMeasure();
+        if (enabled) this.clearSelection();
+    }
+
+    cancelMeasure() {
+        this.measureStart = null;
+        if (this.measureCursor) this.measureCursor.visible = false;
+    }
+
+    setPointerFromEvent(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        return rect;
+    }
+
+    // 마우스 아래의 모니터/책상 위 점. 가까운 모서리/변 중점/중심이 있으면 그 점으로
+    // 반환값: { ref: 저장용 측정점, world } 또는 null
+    findMeasurePoint(event) {
+        const rect = this.setPointerFromEvent(event);
+        const hit = this.raycaster.intersectObjects([...this.monitors, ...this.peripherals, this.deskMesh, this.wallGroup].filter(Boolean), true)[0];
+        if (!hit) return null;
+
+        // 모니터나 주변기기를 맞히면 그 객체 로컬 좌표로 기억
+        let owner = hit.object;
+        while (owner && !owner.userData.isMonitor && !owner.userData.isPeripheral) owner = owner.parent;
+
+        let candidates = [];
+        if (owner?.userData.isMonitor) candidates = Measurement.monitorPoints(owner.userData.size).map(p => owner.localToWorld(p));
+        else if (owner) candidates = Measurement.itemPoints(owner.userData.collisionVolumes).map(p => owner.localToWorld(p));
+        else if (hit.object === this.deskMesh) candidates = Measurement.deskPoints(this.deskSize);
+        const world = (Measurement.snap(candidates, this.camera, this.mouse, rect, hit.point) ?? hit.point).clone();
+
+        if (!owner) return { ref: { monitorId: null, x: world.x, y: world.y, z: world.z }, world };
+        const local = owner.worldToLocal(world.clone());
+        return { ref: { monitorId: owner.userData.id, x: local.x, y: local.y, z: local.z }, world };
+    }
+
+    // 측정 모드 클릭: 첫 점 기억 → 두 번째 점에서 App에 측정 추가
+    pickMeasurePoint(event) {
+        const point = this.findMeasurePoint(event);
+        if (!point) return;
+        if (!this.measureStart) {
+            this.measureStart = point;
+            return;
+        }
+        const start = this.measureStart;
+        this.cancelMeasure();
+        if (start.world.distanceTo(point.world) > 0.5) window.appInstance?.addMeasurement(start.ref, point.ref);
+    }
+
+    updateMeasureCursor(event) {
+        if (!this.measureMode || event.target !== this.renderer.domElement) return;
+        if (!this.measureCursor) {
+            const color = 0xffd400;
+            const marker = new THREE.Points(
+                new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([0, 0, 0], 3)),
+                new THREE.PointsMaterial({ color: 0xffffff, size: 9, sizeAttenuation: false, depthTest: false })
+            );
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(new Array(6).fill(0), 3)),
+                new THREE.LineDashedMaterial({ color, dashSize: 10, gapSize: 6, depthTest: false })
+            );
+            [marker, line].forEach(obj => { obj.frustumCulled = false; obj.renderOrder = 1000; });
+            this.measureCursor = new THREE.Group();
+            this.measureCursor.add(marker, line);
+            this.measureCursor.userData = { marker, line };
+            this.scene.add(this.measureCursor);
+        }
+
+        const point = this.findMeasurePoint(event);
+        const { marker, line } = this.measureCursor.userData;
+        this.measureCursor.visible = !!point;
+        if (!point) return;
+
+        marker.position.copy(point.world);
+        line.visible = !!this.measureStart;
+        if (this.measureStart) {
+            const position = line.geometry.attributes.position;
+            position.setXYZ(0, ...this.measureStart.world.toArray());
+            position.setXYZ(1, ...point.world.toArray());
+            position.needsUpdate = true;
+            line.computeLineDistances();
+        }
+    }
+
+    // 저장된 측정점의 현재 월드 위치 (모니터/주변기기가 없으면 null)
+    resolveMeasurePoint(ref) {
+        const point = new THREE.Vector3(ref.x, ref.y, ref.z);
+        if (ref.monitorId === null) return point;
+        const owner = this.findObject(ref.monitorId);
+        if (!owner) return null;
+        owner.updateMatrixWorld(true);
+        return owner.localToWorld(point);
+    }
+
+    // 치수선 갱신. list를 주면 이후 모니터 이동 시에도 그 목록 사용
+    // 드래그 중 매 프레임 불리므로 선은 위치만 바꾸고, 라벨은 글자가 바뀐 것만 새로 만듦
+    updateMeasurements(list = this.measurements) {
+        this.measurements = list;
+
+        const positions = [];
+        const labels = [];
+        list.forEach(({ a, b }) => {
+            const start = this.resolveMeasurePoint(a);
+            const end = this.resolveMeasurePoint(b);
+            if (!start || !end) return;
+            positions.push(...start.toArray(), ...end.toArray());
+            labels.push({ text: Units.format(start.distanceTo(end), this.lengthUnit), position: start.lerp(end, 0.5) });
+        });
+
+        while (this.measureLabels.length > labels.length) this.disposeMeasureObject(this.measureLabels.pop());
+        labels.forEach(({ text, position }, i) => {
+            if (this.measureLabels[i]?.userData.text !== text) {
+                if (this.measureLabels[i]) this.disposeMeasureObject(this.measureLabels[i]);
+                this.measureLabels[i] = Measurement.createLabel(text);
+                this.measureGroup.add(this.measureLabels[i]);
+            }
+            this.measureLabels[i].position.copy(position);
+        });
+
+        if (this.measureLines && this.measureLines[0].geometry.attributes.position.array.length !== positions.length) {
+            this.measureLines.forEach(obj => this.disposeMeasureObject(obj));
+            this.measureLines = null;
+        }
+        if (positions.length === 0) return;
+
+        if (this.measureLines) {
+            this.measureLines.forEach(obj => {
+                obj.geometry.attributes.position.array.set(positions);
+                obj.geometry.attributes.position.needsUpdate = true;
+            });
+            return;
+        }
+        const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xffd400, depthTest: false }));
+        const ends = new THREE.Points(geometry.clone(), new THREE.PointsMaterial({ color: 0xffd400, size: 7, sizeAttenuation: false, depthTest: false }));
+        [lines, ends].forEach(obj => { obj.frustumCulled = false; obj.renderOrder = 999; });
+        this.measureLines = [lines, ends];
+        this.measureGroup.add(lines, ends);
+    }
+
+    disposeMeasureObject(obj) {
+        this.measureGroup.remove(obj);
+        obj.geometry.dispose();
+        obj.material.map?.dispose();
+        obj.material.dispose();
+    }
+
+    // 라벨이 카메라 거리와 관계없이 약 22px 높이로 보이도록
+    // 라벨 크기는 화면 높이 기준. 내보내기 카메라도 같은 비율로 맞춤
+    updateMeasureLabels(camera = this.camera) {
+        const height = this.renderer.domElement.clientHeight || 1;
+        this.measureGroup.children.forEach(child => {
+            if (!child.isSprite) return;
+            const worldPerPx = camera.isOrthographicCamera
+                ? (camera.top - camera.bottom) / camera.zoom / height
+                : 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * child.position.distanceTo(camera.position) / height;
+            const size = 22 * worldPerPx;
+            child.scale.set(size * child.userData.aspect, size, 1);
+        });
+    }
+
+    // --- 카메라 시점 ---
+
+    // 프리셋 방향: 보는 대상 중심에서 카메라 쪽 (정면 = 사용자 쪽 +z)
+    static VIEW_DIRECTIONS = {
+        front: [0, 0, 1],
+        top: [0, 1, 0.0001],
+        left: [-1, 0, 0],
+        right: [1, 0, 0],
+        iso: [1, 1, 1]
+    };
+
+    // 책상과 모니터 전체 (monitorsOnly = true면 모니터만, 없으면 책상)
+    getSceneBounds(monitorsOnly = false) {
+        const box = new THREE.Box3();
+        this.monitors.forEach(m => box.expandByObject(m));
+        if (!monitorsOnly || box.isEmpty()) {
+            const { minX, maxX, minZ, maxZ } = this.deskSize.extent;
+            box.expandByPoint(new THREE.Vector3(minX, 0, minZ));
+            box.expandByPoint(new THREE.Vector3(maxX, 0, maxZ));
+        }
+        return box;
+    }
+
+    // 구 전체가 화면에 들어오는 카메라 거리 (수직/수평 시야각 중 좁은 쪽 기준)
+    fitDistance(radius, fov) {
+        const vFov = THREE.MathUtils.degToRad(fov);
+        const hFov = 2 * Math.atan(Math.tan(vFov / 2) * this.perspectiveCamera.aspect);
+        return radius / Math.sin(Math.min(vFov, hFov) / 2) * 1.05;
+    }
+
+    // name: VIEW_DIRECTIONS 키 또는 'fit' (현재 방향 유지, 모니터 전체)
+    getPresetView(name) {
+        const sphere = this.getSceneBounds(name === 'fit').getBoundingSphere(new THREE.Sphere());
+        const direction = name === 'fit'
+            ? this.perspectiveCamera.position.clone().sub(this.orbitControls.target).normalize()
+            : new THREE.Vector3(...SceneManager.VIEW_DIRECTIONS[name]).normalize();
+        const fov = CAMERA_DEFAULTS.fov;
+        return {
+            position: sphere.center.clone().addScaledVector(direction, this.fitDistance(sphere.radius, fov)),
+            target: sphere.center.clone(),
+            fov
+        };
+    }
+
+    // 앉은 시점: 눈 위치에서 모니터 전체의 중심을 바라봄. 회전 중심을 눈 바로 앞에 두어
+    // 드래그하면 제자리에서 둘러보게 됨
+    getSeatedView(eye, horizontalFov) {
+        const center = this.monitors.length > 0
+            ? this.getSceneBounds(true).getCenter(new THREE.Vector3())
+            : eye.clone().add(new THREE.Vector3(0, 0, -1));
+        const direction = center.sub(eye).normalize();
+        return {
+            position: eye.clone(),
+            target: eye.clone().addScaledVector(direction, 10),
+            fov: this.verticalFov(horizontalFov)
+        };
+    }
+
+    verticalFov(horizontalFov) {
+        const h = THREE.MathUtils.degToRad(horizontalFov);
+        return THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(h / 2) / this.perspectiveCamera.aspect));
+    }
+
+    // 현재 원근 시점 (평면도 모드면 들어가기 전 시점). 북마크 저장용
+    getCameraView() {
+        const view = this.planMode ? this.savedView : { position: this.camera.position, target: this.orbitControls.target };
+        return { position: view.position.clone(), target: view.target.clone(), fov: this.perspectiveCamera.fov };
+    }
+
+    // view = { position, target, fov }. 현재 시점에서 타깃 주위를 돌아 ease-in-out으로 이동
+    moveCamera(view, { duration = 600, horizontalFov = null } = {}) {
+        this.povHorizontalFov = horizontalFov;
+        this.cameraTween = {
+            from: { position: this.camera.position.clone(), target: this.orbitControls.target.clone(), fov: this.camera.fov },
+            to: view,
+            start: performance.now(),
+            duration
+        };
+        this.updateCameraTween();
+    }
+
+    updateCameraTween() {
+        const tween = this.cameraTween;
+        if (!tween) return;
+        const { from, to } = tween;
+        const t = tween.duration > 0 ? Math.min(1, (performance.now() - tween.start) / tween.duration) : 1;
+        const k = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2;
+
+        // 타깃 기준 방향은 구면 보간, 거리는 선형 보간
+        const fromOffset = from.position.clone().sub(from.target);
+        const toOffset = to.position.clone().sub(to.target);
+        const distance = THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), k);
+        const rotation = new THREE.Quaternion().setFromUnitVectors(fromOffset.normalize(), toOffset.normalize());
+        const offset = fromOffset.applyQuaternion(new THREE.Quaternion().slerp(rotation, k)).multiplyScalar(distance);
+
+        this.orbitControls.target.lerpVectors(from.target, to.target, k);
+        this.camera.position.copy(this.orbitControls.target).add(offset);
+        this.camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, k);
+        this.camera.updateProjectionMatrix();
+        if (t >= 1) this.cameraTween = null;
+    }
+
+    // --- 평면도 (직교 top-down) ---
+
+    setPlanMode(enabled) {
+        if (this.planMode === enabled) return;
+        this.planMode = enabled;
+
+        if (enabled) {
+            this.savedView = { position: this.perspectiveCamera.position.clone(), target: this.orbitControls.target.clone() };
+            this.camera = this.planCamera;
+            this.fitPlanCamera();
+        } else {
+            this.camera = this.perspectiveCamera;
+            this.camera.position.copy(this.savedView.position);
+            this.orbitControls.target.copy(this.savedView.target);
+        }
+        this.applyCameraMode();
+        this.planDirty = true;
+    }
+
+    // 현재 카메라에 컨트롤 연결. 평면도에서는 회전 없이 왼쪽 드래그 = 이동
+    applyCameraMode() {
+        const controls = this.orbitControls;
+        controls.object = this.camera;
+        controls.enableRotate = !this.planMode;
+        controls.mouseButtons.LEFT = this.planMode ? THREE.MOUSE.PAN : THREE.MOUSE.ROTATE;
+        this.transformControls.camera = this.camera;
+        this.planOverlay.style.display = this.planMode ? 'block' : 'none';
+        controls.update();
+    }
+
+    // 책상과 모니터 전체가 치수선 여백과 함께 들어오도록
+    fitPlanCamera() {
+        const aspect = this.container.clientWidth / this.container.clientHeight;
+        const { minX, maxX, minZ, maxZ } = this.deskSize.extent;
+        const box = new THREE.Box3(new THREE.Vector3(minX, 0, minZ), new THREE.Vector3(maxX, 0, maxZ));
+        this.monitors.forEach(m => box.expandByObject(m));
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+
+        this.planHeight = Math.max(size.z, size.x / aspect) * 1.4;
+        this.planCamera.zoom = 1;
+        // 정확히 수직이면 lookAt 기준이 불안정하므로 아주 살짝 앞에서 내려다봄 (화면 위쪽 = 책상 뒤쪽)
+        this.planCamera.position.set(center.x, 5000, center.z + 0.001);
+        this.orbitControls.target.set(center.x, 0, center.z);
+        this.updatePlanFrustum();
+    }
+
+    updatePlanFrustum() {
+        const aspect = this.container.clientWidth / this.container.clientHeight;
+        const half = this.planHeight / 2;
+        Object.assign(this.planCamera, { left: -half * aspect, right: half * aspect, top: half, bottom: -half });
+        this.planCamera.updateProjectionMatrix();
+    }
+
+    // 직교 카메라가 보는 범위에 오버레이를 맞추고, 확대 배율이나 배치가 바뀌면 다시 그림
+    updatePlanOverlay() {
+        const cam = this.planCamera;
+        const width = (cam.right - cam.left) / cam.zoom;
+        const height = (cam.top - cam.bottom) / cam.zoom;
+        this.planOverlay.setAttribute('viewBox', `${cam.position.x - width / 2} ${cam.position.z - height / 2} ${width} ${height}`);
+
+        // 도면 단위 1 = 화면 1px
+        const unit = height / Math.max(1, this.container.clientHeight);
+        if (!this.planDirty && unit === this.planUnit) return;
+        this.planDirty = false;
+        this.planUnit = unit;
+        this.planOverlay.innerHTML = window.appInstance?.renderPlan(unit) ?? '';
+    }
+
+    // --- 화면 콘텐츠 ---
+
+    // 지운 모니터의 화면별 콘텐츠 해제 (동영상 재생 중지, object URL 반환). 텍스처는 removeMonitorMesh가 정리
+    releaseScreenContent(id) {
+        const source = this.screenContent.screens.get(id);
+        if (!source) return;
+        ScreenContent.release(source);
+        this.screenContent.screens.delete(id);
+    }
+
+    // 배경화면/화면별 콘텐츠를 현재 배치에 맞춰 다시 입힘 (모니터가 움직이거나 다시 만들어질 때마다)
+    updateScreenContent(eye) {
+        const { wallpaper, mode, screens } = this.screenContent;
+        const sourceOf = (m) => screens.get(m.userData.id) ?? wallpaper;
+        const spanned = wallpaper && mode === 'span' ? this.monitors.filter(m => !screens.has(m.userData.id)) : [];
+        const layout = ScreenContent.spanLayout(spanned, eye);
+        const spanBounds = layout.length > 0 ? ScreenContent.coverBounds(layout, wallpaper.width / wallpaper.height) : null;
+
+        this.monitors.forEach(monitor => {
+            const { screen, labelTexture } = monitor.userData;
+            const source = sourceOf(monitor);
+            let texture = monitor.userData.contentTexture;
+            if (texture && texture.userData.source !== source) {
+                texture.dispose();
+                texture = null;
+            }
+
+            if (source) {
+                texture = texture ?? ScreenContent.createTexture(source);
+                let frame = layout.find(f => f.id === monitor.userData.id);
+                let bounds = spanBounds;
+                if (!frame) {
+                    // 화면 하나에 맞춤
+                    frame = { ...ScreenContent.frame(monitor, eye), x: 0, y: 0 };
+                    bounds = ScreenContent.coverBounds([frame], source.width / source.height);
+                }
+                texture.matrix.copy(ScreenContent.uvMatrix(frame, bounds));
+            }
+
+            monitor.userData.contentTexture = texture;
+            const map = texture ?? labelTexture;
+            if (screen.material.map !== map) {
+                screen.material.map = map;
+                screen.material.emissiveMap = map;
+                screen.material.needsUpdate = true;
+            }
+        });
+    }
+
+    // --- 이미지 내보내기 ---
+
+    // 현재 시점을 다른 화면 비율로 복사. 원근은 세로 화각(앉은 시점은 수평 화각), 평면도는 보이는 높이 유지
+    createExportCamera(aspect, view = null) {
+        if (view || !this.planMode) {
+            const camera = this.perspectiveCamera.clone();
+            camera.aspect = aspect;
+            if (this.povHorizontalFov) {
+                const h = THREE.MathUtils.degToRad(this.povHorizontalFov);
+                camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(h / 2) / aspect));
+            }
+            if (view) {
+                camera.position.copy(view.position);
+                camera.lookAt(view.target);
+            }
+            camera.updateProjectionMatrix();
+            return camera;
+        }
+        const camera = this.planCamera.clone();
+        const half = (camera.top - camera.bottom) / 2;
+        Object.assign(camera, { left: -half * aspect, right: half * aspect });
+        camera.updateProjectionMatrix();
+        return camera;
+    }
+
+    // 평면도 치수선 오버레이를 내보내기 크기의 SVG로 (라벨 비율은 화면과 같음)
+    createPlanOverlaySvg(camera, width, height) {
+        const viewWidth = (camera.right - camera.left) / camera.zoom;
+        const viewHeight = (camera.top - camera.bottom) / camera.zoom;
+        const unit = viewHeight / Math.max(1, this.container.clientHeight);
+        const n = v => +v.toFixed(2);
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${n(camera.position.x - viewWidth / 2)} ${n(camera.position.z - viewHeight / 2)} ${n(viewWidth)} ${n(viewHeight)}" font-family="sans-serif">${window.appInstance?.renderPlan(unit) ?? ''}</svg>`;
+    }
+
+    getExportRenderer() {
+        // 내보낼 때마다 새로 만들면 WebGL 컨텍스트가 쌓여 브라우저 한도에 걸리므로 하나만 유지
+        if (!this.exportRenderer) {
+            this.exportRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+            this.exportRenderer.setPixelRatio(1);
+            this.exportRenderer.outputColorSpace = THREE.SRGBColorSpace;
+            this.exportRenderer.setClearColor(0x000000, 0);
+        }
+        return this.exportRenderer;
+    }
+
+    // 화면 렌더러와 별개의 오프스크린 렌더러로 PNG 생성 (안티앨리어싱 항상 켬)
+    // views가 있으면 시점마다 한 장씩 (턴테이블). onFrame(i, total)으로 진행 상황 전달
+    async renderImages({ width, height, transparent = false, hideGizmo = true, labels = true, views = null, onFrame = null }) {
+        const renderer = this.getExportRenderer();
+        const maxSize = renderer.capabilities?.maxTextureSize ?? ImageExport.MAX_SIZE;
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`${width}×${height} is larger than this GPU supports (${maxSize}px).`);
+        }
+        renderer.setSize(width, height, false);
+
+        // 화면용 보조 객체는 렌더링하는 순간에만 숨김
+        const hidden = [
+            ...(hideGizmo ? [this.transformControls, ...this.selectionHelpers] : []),
+            ...(labels ? [] : [this.measureGroup]),
+            this.snapGuides,
+            this.measureCursor
+        ].filter(Boolean);
+        const frames = views ?? [null];
+        const blobs = [];
+
+        try {
+            for (let i = 0; i < frames.length; i++) {
+                onFrame?.(i, frames.length);
+                const camera = this.createExportCamera(width / height, frames[i]);
+
+                const visible = hidden.map(obj => obj.visible);
+                const background = this.scene.background;
+                hidden.forEach(obj => { obj.visible = false; });
+                if (transparent) this.scene.background = null;
+                this.updateMeasureLabels(camera);
+                renderer.render(this.scene, camera);
+                hidden.forEach((obj, j) => { obj.visible = visible[j]; });
+                this.scene.background = background;
+                this.updateMeasureLabels();
+
+                let canvas = renderer.domElement;
+                if (labels && camera.isOrthographicCamera) {
+                    canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(renderer.domElement, 0, 0);
+                    ctx.drawImage(await ImageExport.loadSvg(this.createPlanOverlaySvg(camera, width, height)), 0, 0, width, height);
+                }
+                blobs.push(await ImageExport.toPng(canvas));
+            }
+        } finally {
+            // 큰 출력 크기의 버퍼를 붙잡아 두지 않도록 줄여 둠
+            renderer.setSize(1, 1, false);
+        }
+        return blobs;
+    }
+
+    onResize() {
+        if (!this.container) return;
+        this.perspectiveCamera.aspect = this.container.clientWidth / this.container.clientHeight;
+        if (this.povHorizontalFov) this.perspectiveCamera.fov = this.verticalFov(this.povHorizontalFov);
+        this.perspectiveCamera.updateProjectionMatrix();
+        this.updatePlanFrustum();
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    }
+
+    recreateRenderer(config) {
+        // 1. Dispose old renderer and controls
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.orbitControls.dispose();
+        this.transformControls.dispose();
+
+        // 2. Create new renderer with new config
+        const aaEnabled = config.aa ?? true;
+        this.renderer = new THREE.WebGLRenderer({ antialias: aaEnabled, alpha: false });
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        
+        this.renderer.domElement.style.display = 'block';
+        this.renderer.domElement.style.width = '100%';
+        this.renderer.domElement.style.height = '100%';
+        this.container.appendChild(this.renderer.domElement);
+
+        // 3. Re-create controls with the new renderer's domElement
+        this.orbitControls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.dampingFactor = 0.1;
+        this.orbitControls.maxPolarAngle = Math.PI / 2;
+        this.orbitControls.addEventListener('start', () => { this.cameraTween = null; });
+
+        // Note: Re-creating transformControls and re-attaching to scene
+        // We need to detach from any object first.
+        if (this.transformControls.object) {
+            this.transformControls.detach();
+        }
+        this.transformControls = this.createTransformControls();
+        this.scene.add(this.transformControls);
+        this.applyCameraMode();
+        this.attachSelection();
+
+        // 4. Re-attach event listeners for the new domElement
+        this.renderer.domElement.addEventListener('pointerdown', e => this.onPointerDown(e), { capture: true });
+    }
+
+    animate(time) {
+        requestAnimationFrame((t) => this.animate(t));
+
+        // [최적화] 30 FPS 제한 로직
+        if (!this.lastRenderTime) this.lastRenderTime = 0;
         const fpsInterval = 1000 / 30; // 30 FPS 목표
         const elapsed = time - this.lastRenderTime;
 
         if (elapsed > fpsInterval) {
             this.lastRenderTime = time - (elapsed % fpsInterval);
 
+            this.updateCameraTween();
             this.orbitControls.update();
+            if (this.planMode) this.updatePlanOverlay();
+            this.updateMeasureLabels();
             this.renderer.render(this.scene, this.camera);
         }
     }
@@ -414,8 +1811,22 @@ class App {
 
         this.sceneManager = new SceneManager(document.getElementById('canvas-container'), { aa: aaEnabled });
         this.monitorList = [];
-        this.idCounter = 0;
+        this.peripheralList = []; // [{ id, type, name, locked, size: { width, depth, height }, open }]
+        this.idCounter = 0; // 모니터와 주변기기가 함께 사용
         this.isResizing = false;
+        this.isApplyingLayout = false;
+        this.activeLayoutId = null;
+        this.autosaveTimer = null;
+        this.history = new HistoryManager(100);
+        this.viewer = { ...VIEWER_DEFAULTS };
+        this.showViewer = true;
+        this.measurements = []; // [{ a, b }] 측정점은 Measurement 참고
+        this.povFov = CAMERA_DEFAULTS.povFov;
+        this.cameraBookmarks = []; // [{ name, position, target, fov }]
+        this.deskPolygon = []; // 사용자 다각형 책상 꼭짓점 [{ x, z }]
+        this.isExportingImage = false;
+        this.contentTargetId = null; // 파일 선택 후 콘텐츠를 입힐 화면 (null = 전체 배경화면)
+        this.lengthUnit = Units.DEFAULT; // 화면 표시 단위. 값은 항상 mm
         this.interactionHintEl = document.getElementById('interaction-hint');
         
         // 다국어 설정
@@ -424,8 +1835,8 @@ class App {
             ko: {
                 appTitle: "Multi-Monitor Planner",
                 deskSetup: "데스크 설정",
-                width: "너비(mm)",
-                depth: "깊이(mm)",
+                width: "너비({unit})",
+                depth: "깊이({unit})",
                 color: "색상",
                 settings: "설정",
                 language: "언어",
@@ -442,13 +1853,229 @@ class App {
                 reset: "위치 초기화",
                 remove: "삭제",
                 visitRepository: "GitHub 저장소 방문",
-                interactionHint: "모니터를 클릭하여 이동 ↔ 회전 핸들 전환"
+                interactionHint: "모니터를 클릭하여 이동 ↔ 회전 핸들 전환",
+                layouts: "레이아웃",
+                layoutNamePlaceholder: "레이아웃 이름",
+                saveLayout: "저장",
+                noSavedLayouts: "저장된 레이아웃이 없습니다.",
+                load: "불러오기",
+                rename: "이름 변경",
+                duplicate: "복제",
+                renamePrompt: "새 레이아웃 이름",
+                deleteLayoutConfirm: "이 레이아웃을 삭제할까요?",
+                overwriteLayoutConfirm: "같은 이름의 레이아웃이 있습니다. 덮어쓸까요?",
+                copySuffix: "사본",
+                exportLayout: "내보내기",
+                importLayout: "가져오기",
+                importFailed: "가져오기 실패",
+                importIssues: "일부 값을 보정하여 가져왔습니다",
+                copyLink: "링크 복사",
+                linkCopied: "복사됨!",
+                copyLinkPrompt: "아래 링크를 복사하세요",
+                sharedLinkFailed: "공유 링크를 열 수 없습니다",
+                undo: "실행 취소 (Ctrl+Z)",
+                redo: "다시 실행 (Ctrl+Shift+Z)",
+                addFromCatalog: "+ 카탈로그에서 추가",
+                catalogSearch: "모델 검색 (이름, 인치, 해상도)",
+                noCatalogResults: "검색 결과가 없습니다.",
+                add: "추가",
+                customBadge: "사용자",
+                customModel: "사용자 모델 추가",
+                modelName: "모델 이름",
+                resolution: "해상도",
+                curvatureR: "곡률 (R, 0=평면)",
+                bezelMm: "베젤 상/하/좌/우 ({unit})",
+                housingDepth: "본체 두께 ({unit})",
+                standFootprint: "스탠드 받침 W×D ({unit})",
+                standHeight: "스탠드 높이 범위 ({unit})",
+                saveModel: "모델 저장",
+                deleteModelConfirm: "이 사용자 모델을 삭제할까요?",
+                outerSize: "외곽",
+                activeArea: "화면",
+                bezelShort: "베젤 상/하/좌/우",
+                depthShort: "두께",
+                mount: "마운트",
+                mountNone: "없음 (공중 배치)",
+                mountStand: "기본 스탠드",
+                mountArm: "VESA 모니터암 (책상 클램프)",
+                mountLimits: "조절 범위",
+                mountBaseWidth: "받침 너비",
+                mountBaseDepth: "받침 깊이",
+                mountBaseYaw: "받침 각도(°)",
+                mountClampX: "클램프 X",
+                mountReach: "최대 거리",
+                mountMinHeight: "최소 높이",
+                mountMaxHeight: "최대 높이",
+                mountTiltMin: "틸트 최소(°)",
+                mountTiltMax: "틸트 최대(°)",
+                mountSwivelMin: "스위블 최소(°)",
+                mountSwivelMax: "스위블 최대(°)",
+                mountPivot: "피벗(세로 회전) 지원",
+                mountLimited: "마운트 한계",
+                mountUnreachable: "마운트로 고정할 수 없는 위치",
+                mountIssue_height: "높이",
+                mountIssue_reach: "암 길이",
+                mountIssue_tilt: "틸트",
+                mountIssue_swivel: "스위블",
+                mountIssue_pivot: "피벗 미지원",
+                ergonomics: "인체공학 분석",
+                eyeHeight: "눈 높이({unit})",
+                eyeDistance: "앞 가장자리~눈({unit})",
+                eyeOffset: "눈 X 위치({unit})",
+                showViewer: "시점 표시",
+                noMonitorsToAnalyze: "분석할 모니터가 없습니다.",
+                viewDistance: "시청 거리",
+                viewAngle: "시선 각도",
+                topEdge: "화면 상단",
+                atOrBelowEye: "눈높이 이하",
+                aboveEye: "눈보다 위",
+                offAxis: "측면 각도",
+                neckRange: "목 회전 범위",
+                fieldOfView: "시야각 (FOV)",
+                fovCombined: "전체 수평 커버리지",
+                fovSpan: "좌우 끝 사이",
+                fovVertical: "수직 범위",
+                fovGaps: "베젤/간격으로 인한 빈 각도",
+                blockOverlap: "겹침 차단",
+                collisions: "충돌",
+                collisionOverlap: "서로 겹침",
+                collisionBelowDesk: "책상 상판을 관통",
+                collisionOffDesk: "책상 밖으로 벗어남",
+                arrange: "자동 배치",
+                arrangeTemplate: "배치 템플릿",
+                arrangeRow: "일자 배치",
+                arrangeArc: "시청자 중심 원호",
+                arrangeStack: "2단 (위 2 / 아래 1)",
+                arrangeWings: "중앙 가로 + 양옆 세로",
+                arrangeGap: "간격({unit})",
+                arrangeRadius: "반경({unit})",
+                arrangeNothing: "배치할 수 있는 모니터가 없습니다. (잠금 해제된 모니터만 이동)",
+                arrangeTooLarge: "배치가 책상보다 큽니다. 간격이나 반경을 줄여 보세요.",
+                align: "정렬 (잠금 해제된 모니터, 선택한 모니터 기준)",
+                alignBottom: "하단 맞춤",
+                alignTop: "상단 맞춤",
+                distribute: "균등 간격",
+                matchAngle: "각도 맞춤",
+                mirror: "좌우 반전",
+                group: "그룹",
+                ungroup: "그룹 해제",
+                selectedCount: "대 선택됨",
+                selectionHint: "Shift + 클릭/드래그로 여러 대 선택",
+                selectHint: "클릭하여 선택 (Shift: 추가 선택)",
+                displayLayout: "OS 디스플레이 배치",
+                exportDisplays: "내보내기",
+                pixelPitch: "픽셀 피치",
+                resolutionRatioMismatch: "해상도와 화면 비율이 다름",
+                pixelDensity: "픽셀 밀도 / 배율",
+                recommendedScale: "권장 배율",
+                mixedPpi: "이웃 모니터 간 글자 크기 차이",
+                textSizeMismatch: "100%에서 글자가 {percent}% 더 크게 보임",
+                withRecommendedScale: "권장 배율 적용 시",
+                planMode: "평면도 (위에서 보기)",
+                floorPlan: "평면도 SVG",
+                planActualSize: "실척 (1:1)",
+                planPrintA4: "A4 인쇄용",
+                planPrintA3: "A3 인쇄용",
+                exportPlan: "내보내기",
+                measure: "측정 (두 점 클릭)",
+                measureHint: "두 점을 클릭하여 측정 (모서리/변 중점/화면 중심에 붙음, Esc: 취소)",
+                measurements: "측정",
+                measureEmpty: "툴바의 자 버튼을 누른 뒤 모니터나 책상 위의 두 점을 클릭하세요.",
+                measureDesk: "책상",
+                clearMeasurements: "모두 지우기",
+                removeMeasurement: "삭제",
+                cameraViews: "카메라 시점",
+                viewFront: "정면",
+                viewTop: "위",
+                viewLeft: "왼쪽",
+                viewRight: "오른쪽",
+                viewIso: "등각",
+                viewFit: "전체 보기",
+                viewSeated: "앉은 시점",
+                povFov: "앉은 시점 수평 시야각(°)",
+                saveCamera: "현재 시점 저장",
+                cameraNamePlaceholder: "시점 이름",
+                noCameraBookmarks: "저장된 시점이 없습니다.",
+                goToView: "이 시점으로 이동",
+                deskShape: "형태",
+                deskRect: "직사각형",
+                deskL: "L자형",
+                deskCorner: "코너형",
+                deskCustom: "사용자 다각형",
+                cornerRadius: "모서리 반지름({unit})",
+                returnSide: "보조 상판",
+                returnLeft: "왼쪽",
+                returnRight: "오른쪽",
+                returnWidth: "보조 폭({unit})",
+                returnLength: "보조 길이({unit})",
+                deskFront: "앞면",
+                frontStraight: "직선",
+                frontCutout: "홈",
+                frontCurved: "곡선",
+                deskPolygon: "꼭짓점 (X, Z {unit})",
+                addVertex: "꼭짓점 추가",
+                deskHeight: "높이({unit})",
+                deskThickness: "두께({unit})",
+                walls: "벽 (책상 가장자리와의 거리, {unit})",
+                wallBack: "뒤",
+                wallLeft: "왼쪽",
+                wallRight: "오른쪽",
+                wallHeight: "벽 높이({unit})",
+                collisionThroughWall: "벽을 관통",
+                deskItems: "책상 위 물건",
+                addItem: "+ 물건 추가",
+                item_keyboard: "키보드",
+                item_mousepad: "마우스 패드",
+                item_laptop: "노트북",
+                item_speaker: "스피커",
+                item_lamp: "스탠드 조명",
+                item_webcam: "웹캠",
+                item_tower: "PC 본체",
+                item_box: "상자",
+                itemWidth: "폭({unit})",
+                itemDepth: "깊이({unit})",
+                itemHeight: "높이({unit})",
+                laptopOpen: "화면 펼침",
+                collisionStand: "스탠드 받침과 겹침",
+                imageExport: "스크린샷 / 턴테이블…",
+                imageResolution: "해상도",
+                imageCustomSize: "직접 입력",
+                imageTransparent: "투명 배경",
+                imageHideGizmo: "기즈모 / 선택 표시 숨기기",
+                imageLabels: "치수 라벨 포함",
+                exportImage: "PNG 내보내기",
+                turntableFrames: "턴테이블 프레임 수",
+                exportTurntable: "ZIP 내보내기",
+                rendering: "렌더링 중",
+                imageSizeInvalid: "해상도가 범위를 벗어났습니다",
+                turntableFramesInvalid: "프레임 수가 범위를 벗어났습니다",
+                imageExportFailed: "이미지를 만들지 못했습니다",
+                modelExport: "3D 모델",
+                exportModel: "내보내기",
+                modelExportFailed: "3D 모델을 내보내지 못했습니다",
+                screenContent: "화면 콘텐츠",
+                contentSpan: "모든 화면에 펼치기",
+                contentEach: "화면마다 맞추기",
+                loadWallpaper: "이미지/동영상",
+                clearWallpaper: "지우기",
+                ownContent: "따로 지정",
+                contentLoadFailed: "파일을 불러오지 못했습니다",
+                position: "위치 ({unit}, 상판 윗면 y = 0)",
+                rotationDeg: "회전 (°)",
+                yaw: "스위블",
+                tilt: "틸트",
+                roll: "롤",
+                relativeInputHint: "+50 또는 -=50처럼 입력하면 현재 값에서 더하거나 뺍니다. -50은 그 값으로 바로 설정합니다",
+                lengthUnit: "길이 단위",
+                beforeSharedLink: "공유 링크 열기 전",
+                sharedLinkOpened: "공유 링크를 열었습니다",
+                previousLayoutSaved: "이전 작업은 저장된 레이아웃 \"{name}\"에 보관했습니다"
             },
             en: {
                 appTitle: "Multi-Monitor Planner",
                 deskSetup: "Desk Setup",
-                width: "Width(mm)",
-                depth: "Depth(mm)",
+                width: "Width({unit})",
+                depth: "Depth({unit})",
                 color: "Color",
                 settings: "Settings",
                 language: "Language",
@@ -465,10 +2092,228 @@ class App {
                 reset: "Reset Position",
                 remove: "Remove",
                 visitRepository: "Visit Repository",
-                interactionHint: "Click the monitor to toggle Move ↔ Rotate handles"
+                interactionHint: "Click the monitor to toggle Move ↔ Rotate handles",
+                layouts: "Layouts",
+                layoutNamePlaceholder: "Layout name",
+                saveLayout: "Save",
+                noSavedLayouts: "No saved layouts yet.",
+                load: "Load",
+                rename: "Rename",
+                duplicate: "Duplicate",
+                renamePrompt: "New layout name",
+                deleteLayoutConfirm: "Delete this layout?",
+                overwriteLayoutConfirm: "A layout with this name already exists. Overwrite it?",
+                copySuffix: "copy",
+                exportLayout: "Export",
+                importLayout: "Import",
+                importFailed: "Import failed",
+                importIssues: "Imported with corrected values",
+                copyLink: "Copy link",
+                linkCopied: "Copied!",
+                copyLinkPrompt: "Copy this link",
+                sharedLinkFailed: "Could not open shared link",
+                undo: "Undo (Ctrl+Z)",
+                redo: "Redo (Ctrl+Shift+Z)",
+                addFromCatalog: "+ Add from Catalog",
+                catalogSearch: "Search models (name, inch, resolution)",
+                noCatalogResults: "No matching models.",
+                add: "Add",
+                customBadge: "Custom",
+                customModel: "Add custom model",
+                modelName: "Model name",
+                resolution: "Resolution",
+                curvatureR: "Curvature (R, 0=flat)",
+                bezelMm: "Bezel top/bottom/left/right ({unit})",
+                housingDepth: "Housing depth ({unit})",
+                standFootprint: "Stand base W×D ({unit})",
+                standHeight: "Stand height range ({unit})",
+                saveModel: "Save model",
+                deleteModelConfirm: "Delete this custom model?",
+                outerSize: "Outer",
+                activeArea: "Active",
+                bezelShort: "Bezel T/B/L/R",
+                depthShort: "Depth",
+                mount: "Mount",
+                mountNone: "None (floating)",
+                mountStand: "Stock stand",
+                mountArm: "VESA arm (desk clamp)",
+                mountLimits: "Adjustment limits",
+                mountBaseWidth: "Base width",
+                mountBaseDepth: "Base depth",
+                mountBaseYaw: "Base angle(°)",
+                mountClampX: "Clamp X",
+                mountReach: "Reach",
+                mountMinHeight: "Min height",
+                mountMaxHeight: "Max height",
+                mountTiltMin: "Tilt min(°)",
+                mountTiltMax: "Tilt max(°)",
+                mountSwivelMin: "Swivel min(°)",
+                mountSwivelMax: "Swivel max(°)",
+                mountPivot: "Supports pivot (portrait)",
+                mountLimited: "Mount limit",
+                mountUnreachable: "Mount cannot hold this position",
+                mountIssue_height: "height",
+                mountIssue_reach: "arm reach",
+                mountIssue_tilt: "tilt",
+                mountIssue_swivel: "swivel",
+                mountIssue_pivot: "no pivot",
+                ergonomics: "Ergonomics",
+                eyeHeight: "Eye height({unit})",
+                eyeDistance: "Front edge~eye({unit})",
+                eyeOffset: "Eye X({unit})",
+                showViewer: "Show viewer",
+                noMonitorsToAnalyze: "No monitors to analyze.",
+                viewDistance: "Distance",
+                viewAngle: "Gaze angle",
+                topEdge: "Top edge",
+                atOrBelowEye: "At/below eye",
+                aboveEye: "Above eye",
+                offAxis: "Off-axis",
+                neckRange: "Neck rotation",
+                fieldOfView: "Field of View",
+                fovCombined: "Combined horizontal coverage",
+                fovSpan: "edge to edge",
+                fovVertical: "Vertical range",
+                fovGaps: "Angular gaps from bezels/spacing",
+                blockOverlap: "Block overlap",
+                collisions: "Collisions",
+                collisionOverlap: "overlapping",
+                collisionBelowDesk: "sinks into the desk top",
+                collisionOffDesk: "extends past the desk edge",
+                arrange: "Arrange",
+                arrangeTemplate: "Template",
+                arrangeRow: "Flat row",
+                arrangeArc: "Arc around viewer",
+                arrangeStack: "Stacked 2-over-1",
+                arrangeWings: "Landscape center, portrait wings",
+                arrangeGap: "Gap({unit})",
+                arrangeRadius: "Radius({unit})",
+                arrangeNothing: "No monitors to arrange. (Only unlocked monitors are moved)",
+                arrangeTooLarge: "The arrangement is larger than the desk. Try a smaller gap or radius.",
+                align: "Align (unlocked monitors, relative to the selected one)",
+                alignBottom: "Bottoms",
+                alignTop: "Tops",
+                distribute: "Distribute",
+                matchAngle: "Match angle",
+                mirror: "Mirror",
+                group: "Group",
+                ungroup: "Ungroup",
+                selectedCount: "selected",
+                selectionHint: "Shift + click/drag to select several",
+                selectHint: "Click to select (Shift: add to selection)",
+                displayLayout: "OS display arrangement",
+                exportDisplays: "Export",
+                pixelPitch: "pitch",
+                resolutionRatioMismatch: "resolution does not match the aspect ratio",
+                pixelDensity: "Pixel density / Scaling",
+                recommendedScale: "Scale",
+                mixedPpi: "Text size differs between neighbors",
+                textSizeMismatch: "text looks {percent}% larger at 100%",
+                withRecommendedScale: "with recommended scaling:",
+                planMode: "Top-down plan",
+                floorPlan: "Floor plan SVG",
+                planActualSize: "Actual size (1:1)",
+                planPrintA4: "A4 print",
+                planPrintA3: "A3 print",
+                exportPlan: "Export",
+                measure: "Measure (click two points)",
+                measureHint: "Click two points to measure (snaps to corners, edge midpoints and screen centers, Esc: cancel)",
+                measurements: "Measurements",
+                measureEmpty: "Press the ruler button in the toolbar, then click two points on the monitors or the desk.",
+                measureDesk: "Desk",
+                clearMeasurements: "Clear all",
+                removeMeasurement: "Remove",
+                cameraViews: "Camera views",
+                viewFront: "Front",
+                viewTop: "Top",
+                viewLeft: "Left",
+                viewRight: "Right",
+                viewIso: "Iso",
+                viewFit: "Fit all",
+                viewSeated: "Seated",
+                povFov: "Seated view horizontal FOV(°)",
+                saveCamera: "Save current view",
+                cameraNamePlaceholder: "View name",
+                noCameraBookmarks: "No saved views.",
+                goToView: "Go to this view",
+                deskShape: "Shape",
+                deskRect: "Rectangle",
+                deskL: "L-shaped",
+                deskCorner: "Corner",
+                deskCustom: "Custom polygon",
+                cornerRadius: "Corner radius({unit})",
+                returnSide: "Return side",
+                returnLeft: "Left",
+                returnRight: "Right",
+                returnWidth: "Return width({unit})",
+                returnLength: "Return length({unit})",
+                deskFront: "Front edge",
+                frontStraight: "Straight",
+                frontCutout: "Cutout",
+                frontCurved: "Curved",
+                deskPolygon: "Vertices (X, Z {unit})",
+                addVertex: "Add vertex",
+                deskHeight: "Height({unit})",
+                deskThickness: "Thickness({unit})",
+                walls: "Walls (distance from desk, {unit})",
+                wallBack: "Back",
+                wallLeft: "Left",
+                wallRight: "Right",
+                wallHeight: "Wall height({unit})",
+                collisionThroughWall: "goes through a wall",
+                deskItems: "Desk items",
+                addItem: "+ Add item",
+                item_keyboard: "Keyboard",
+                item_mousepad: "Mouse pad",
+                item_laptop: "Laptop",
+                item_speaker: "Speaker",
+                item_lamp: "Desk lamp",
+                item_webcam: "Webcam",
+                item_tower: "PC tower",
+                item_box: "Box",
+                itemWidth: "Width({unit})",
+                itemDepth: "Depth({unit})",
+                itemHeight: "Height({unit})",
+                laptopOpen: "Lid open",
+                collisionStand: "stand base overlaps",
+                imageExport: "Screenshot / turntable…",
+                imageResolution: "Resolution",
+                imageCustomSize: "Custom",
+                imageTransparent: "Transparent background",
+                imageHideGizmo: "Hide gizmo / selection",
+                imageLabels: "Include dimension labels",
+                exportImage: "Export PNG",
+                turntableFrames: "Turntable frames",
+                exportTurntable: "Export ZIP",
+                rendering: "Rendering",
+                imageSizeInvalid: "Resolution is out of range",
+                turntableFramesInvalid: "Frame count is out of range",
+                imageExportFailed: "Could not create the image",
+                modelExport: "3D model",
+                exportModel: "Export",
+                modelExportFailed: "Could not export the 3D model",
+                screenContent: "Screen content",
+                contentSpan: "Span across screens",
+                contentEach: "Fit each screen",
+                loadWallpaper: "Image/video",
+                clearWallpaper: "Clear",
+                ownContent: "Own file",
+                contentLoadFailed: "Could not load the file",
+                position: "Position ({unit}, desk top y = 0)",
+                rotationDeg: "Rotation (°)",
+                yaw: "Yaw",
+                tilt: "Tilt",
+                roll: "Roll",
+                relativeInputHint: "Type +50 or -=50 to add to or subtract from the current value. -50 sets the value to -50",
+                lengthUnit: "Length unit",
+                beforeSharedLink: "Before shared link",
+                sharedLinkOpened: "Opened shared link",
+                previousLayoutSaved: "Your previous work was kept as the saved layout \"{name}\""
             }
         };
 
+        this.convertLengthInputs(LayoutStore.loadPreferences().unit); // HTML 기본값(mm)을 저장된 단위로
+        this.updateDesk(); // 눈 위치 등이 책상 윤곽을 참조
         this.initEvents();
         this.initSidebarResize();
         this.initGraphicsToggles();
@@ -476,7 +2321,7 @@ class App {
         
         document.getElementById('aa-check').checked = aaEnabled;
 
-        this.sceneManager.updateDesk(1600, 800, '#ffffff');
+        this.loadInitialLayout();
         
         setTimeout(() => {
             this.sceneManager.onResize();
@@ -485,7 +2330,9 @@ class App {
 
     showInteractionHint() {
         if (this.interactionHintEl) {
-            this.interactionHintEl.textContent = this.translations[this.currentLang].interactionHint;
+            this.interactionHintEl.classList.remove('warning');
+            const t = this.translations[this.currentLang];
+            this.interactionHintEl.textContent = this.sceneManager.measureMode ? t.measureHint : t.interactionHint;
             this.interactionHintEl.style.opacity = '1';
         }
     }
@@ -497,18 +2344,142 @@ class App {
     }
 
     initEvents() {
-        const updateDesk = () => {
-            const w = parseFloat(document.getElementById('desk-width').value) || 1600;
-            const d = parseFloat(document.getElementById('desk-depth').value) || 800;
-            const c = document.getElementById('desk-color').value || '#ffffff';
-            this.sceneManager.updateDesk(w, d, c);
-        };
-        ['desk-width', 'desk-depth', 'desk-color'].forEach(id => {
+        [...Object.values(App.DESK_INPUTS), ...App.WALL_INPUTS].forEach(id => {
             const el = document.getElementById(id);
-            if(el) el.addEventListener('input', updateDesk);
+            if (!el) return;
+            const eventName = el.tagName === 'SELECT' || el.type === 'checkbox' ? 'change' : 'input';
+            el.addEventListener(eventName, () => {
+                if (id === 'desk-shape' && el.value === 'custom' && this.deskPolygon.length < 3) {
+                    // 지금 모양(둥근 모서리/앞면 가공 전)에서 시작
+                    this.deskPolygon = this.sceneManager.deskSize.base.map(p => ({ x: Math.round(p.x), z: Math.round(p.z) }));
+                }
+                this.onDeskChanged(id);
+            });
+        });
+        document.getElementById('add-desk-vertex-btn').addEventListener('click', () => this.addDeskVertex());
+
+        [['eye-height', 'eyeHeight'], ['eye-distance', 'distance'], ['eye-offset', 'offsetX']].forEach(([elId, key]) => {
+            const el = document.getElementById(elId);
+            this.setLength(el, this.viewer[key]);
+            el.addEventListener('input', () => {
+                const parsed = this.readLength(el);
+                this.viewer[key] = Number.isFinite(parsed) ? parsed : VIEWER_DEFAULTS[key];
+                this.updateViewerAnalysis();
+                this.onLayoutChanged(elId);
+            });
+        });
+        document.getElementById('show-viewer-check').addEventListener('change', (e) => {
+            this.showViewer = e.target.checked;
+            this.updateViewerAnalysis();
+        });
+
+        document.getElementById('block-overlap-check').addEventListener('change', (e) => {
+            this.sceneManager.blockOverlap = e.target.checked;
+            this.onLayoutChanged();
+        });
+
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        document.getElementById('plan-mode-btn').addEventListener('click', () => this.togglePlanMode());
+        document.getElementById('measure-btn').addEventListener('click', () => this.toggleMeasureMode());
+        document.getElementById('clear-measurements-btn').addEventListener('click', () => this.clearMeasurements());
+        document.querySelectorAll('[data-view]').forEach(btn => {
+            btn.addEventListener('click', () => this.setView(btn.dataset.view));
+        });
+        const povFovInput = document.getElementById('pov-fov');
+        povFovInput.value = this.povFov;
+        povFovInput.addEventListener('input', () => {
+            const parsed = parseFloat(povFovInput.value);
+            this.povFov = Number.isFinite(parsed) ? THREE.MathUtils.clamp(parsed, 30, 150) : CAMERA_DEFAULTS.povFov;
+            if (this.sceneManager.povHorizontalFov) this.setView('seated'); // 앉은 시점이면 바로 반영
+            this.scheduleAutosave();
+        });
+        document.getElementById('save-camera-btn').addEventListener('click', () => this.saveCameraBookmark());
+        document.getElementById('camera-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveCameraBookmark();
+        });
+        window.addEventListener('keydown', (e) => {
+            const tagName = document.activeElement ? document.activeElement.tagName.toUpperCase() : '';
+            if (tagName === 'INPUT' || tagName === 'TEXTAREA') return; // 입력창은 브라우저 기본 동작 유지
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'g') {
+                e.preventDefault();
+                if (e.shiftKey) this.ungroupSelection();
+                else this.groupSelection();
+            }
         });
 
         document.getElementById('add-monitor-btn').addEventListener('click', () => this.addMonitor());
+        document.getElementById('load-wallpaper-btn').addEventListener('click', () => this.pickScreenContent());
+        document.getElementById('clear-wallpaper-btn').addEventListener('click', () => this.clearScreenContent());
+        document.getElementById('content-mode').addEventListener('change', (e) => {
+            this.sceneManager.screenContent.mode = e.target.value;
+            this.updateViewerAnalysis();
+        });
+        document.getElementById('content-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadScreenContent(file);
+        });
+        document.getElementById('add-peripheral-btn').addEventListener('click', () => {
+            this.addPeripheral(document.getElementById('peripheral-type').value);
+        });
+        document.getElementById('arrange-template').addEventListener('change', () => this.updateArrangeControls());
+        document.getElementById('arrange-btn').addEventListener('click', () => this.arrange());
+        document.querySelectorAll('[data-align]').forEach(btn => {
+            btn.addEventListener('click', () => this.alignSelection(btn.dataset.align));
+        });
+        document.getElementById('mirror-btn').addEventListener('click', () => this.mirrorSelection());
+        document.getElementById('group-btn').addEventListener('click', () => this.groupSelection());
+        document.getElementById('ungroup-btn').addEventListener('click', () => this.ungroupSelection());
+        this.updateArrangeControls();
+        document.getElementById('open-catalog-btn').addEventListener('click', () => {
+            const panel = document.getElementById('catalog-panel');
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) {
+                this.renderCatalog();
+                document.getElementById('catalog-search').focus();
+            }
+        });
+        document.getElementById('catalog-search').addEventListener('input', () => this.renderCatalog());
+        document.getElementById('save-custom-model-btn').addEventListener('click', () => this.saveCustomModel());
+        document.getElementById('save-layout-btn').addEventListener('click', () => this.saveLayout());
+        document.getElementById('layout-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.saveLayout();
+        });
+
+        const importInput = document.getElementById('import-layout-input');
+        document.getElementById('export-layout-btn').addEventListener('click', () => this.exportLayout());
+        document.getElementById('copy-link-btn').addEventListener('click', () => this.copyShareLink());
+        document.getElementById('export-displays-btn').addEventListener('click', () => this.exportDisplays());
+        document.getElementById('export-plan-btn').addEventListener('click', () => this.exportPlan());
+        document.getElementById('export-model-btn').addEventListener('click', () => this.exportModel());
+        document.getElementById('open-image-export-btn').addEventListener('click', () => {
+            const panel = document.getElementById('image-export-panel');
+            panel.hidden = !panel.hidden;
+        });
+        document.getElementById('image-resolution').addEventListener('change', (e) => {
+            document.getElementById('image-size-row').hidden = e.target.value !== 'custom';
+        });
+        document.getElementById('export-image-btn').addEventListener('click', () => this.exportImage());
+        document.getElementById('export-turntable-btn').addEventListener('click', () => this.exportImage(true));
+        window.addEventListener('hashchange', () => {
+            if (ShareLink.read(window.location.hash)) this.loadSharedLayout();
+        });
+        document.getElementById('import-layout-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // 같은 파일을 다시 선택해도 change 이벤트 발생
+            if (file) this.importLayout(file);
+        });
         
         // 언어 변경 이벤트
         const langSelect = document.getElementById('language-select');
@@ -517,11 +2488,16 @@ class App {
             langSelect.addEventListener('change', (e) => {
                 this.currentLang = e.target.value;
                 this.updateLanguage();
+                this.onLayoutChanged();
             });
         }
         // 초기 언어 적용
         this.updateLanguage();
 
+        const unitSelect = document.getElementById('unit-select');
+        unitSelect.value = this.lengthUnit;
+        unitSelect.addEventListener('change', (e) => this.setLengthUnit(e.target.value));
+
         const bindSnap = (checkId, rangeId, valId, type) => {
             const check = document.getElementById(checkId);
             const range = document.getElementById(rangeId);
@@ -529,8 +2505,8 @@ class App {
             
             const updateSnap = () => {
                 const enabled = check.checked;
-                const value = range.value;
-                val.textContent = type === 'translate' ? `${value}mm` : `${value}°`;
+                const value = type === 'rotate' ? parseFloat(range.value) : this.readLength(range);
+                val.textContent = type === 'rotate' ? `${value}°` : this.formatLength(value);
                 this.sceneManager.setSnap(type, enabled, value);
 
                 // 연관된 컨트롤의 비활성화 상태 업데이트
@@ -544,15 +2520,144 @@ class App {
                 }
             };
 
-            check.addEventListener('change', updateSnap);
-            range.addEventListener('input', updateSnap);
+            check.addEventListener('change', () => { updateSnap(); this.onLayoutChanged(); });
+            range.addEventListener('input', () => { updateSnap(); this.onLayoutChanged(); });
             updateSnap();
         };
 
         bindSnap('snap-move-check', 'snap-move-range', 'snap-move-val', 'translate');
         bindSnap('snap-rotate-check', 'snap-rotate-range', 'snap-rotate-val', 'rotate');
+        bindSnap('snap-magnet-check', 'snap-magnet-range', 'snap-magnet-val', 'magnet');
+    }
 
-        this.addMonitor();
+    // LayoutSchema desk 필드 -> 입력 id (polygon은 deskPolygon)
+    static DESK_INPUTS = {
+        width: 'desk-width', depth: 'desk-depth', color: 'desk-color', shape: 'desk-shape',
+        returnSide: 'desk-return-side', returnWidth: 'desk-return-width', returnLength: 'desk-return-length',
+        cornerRadius: 'desk-corner-radius', front: 'desk-front', frontWidth: 'desk-front-width', frontDepth: 'desk-front-depth',
+        height: 'desk-height', thickness: 'desk-thickness'
+    };
+    static MOUNT_LENGTHS = ['baseWidth', 'baseDepth', 'clampX', 'reach', 'minHeight', 'maxHeight']; // 나머지는 각도
+    static WALL_INPUTS = ['wall-height', 'wall-back-check', 'wall-back-distance', 'wall-left-check', 'wall-left-distance', 'wall-right-check', 'wall-right-distance'];
+
+    readDesk() {
+        const value = (id, fallback) => this.lengthValue(id) || fallback;
+        const size = (id, fallback) => Math.max(0, this.lengthValue(id) || 0) || fallback;
+        const d = DESK_DEFAULTS;
+        return {
+            width: value('desk-width', d.width),
+            depth: value('desk-depth', d.depth),
+            color: document.getElementById('desk-color').value || d.color,
+            shape: document.getElementById('desk-shape').value,
+            returnSide: document.getElementById('desk-return-side').value,
+            returnWidth: value('desk-return-width', d.returnWidth),
+            returnLength: value('desk-return-length', d.returnLength),
+            cornerRadius: Math.max(0, this.lengthValue('desk-corner-radius') || 0),
+            front: document.getElementById('desk-front').value,
+            frontWidth: size('desk-front-width', d.frontWidth),
+            frontDepth: size('desk-front-depth', d.frontDepth),
+            polygon: this.deskPolygon.map(p => ({ ...p })),
+            height: value('desk-height', d.height),
+            thickness: value('desk-thickness', d.thickness)
+        };
+    }
+
+    readWalls() {
+        const wall = (side) => ({
+            enabled: document.getElementById(`wall-${side}-check`).checked,
+            distance: Math.max(0, this.lengthValue(`wall-${side}-distance`) || 0)
+        });
+        return {
+            height: this.lengthValue('wall-height') || WALL_DEFAULTS.height,
+            back: wall('back'),
+            left: wall('left'),
+            right: wall('right')
+        };
+    }
+
+    updateDesk() {
+        const desk = this.readDesk();
+        // 꼭짓점이 모자라면 직사각형으로 그림
+        if (desk.shape === 'custom' && desk.polygon.length < 3) desk.shape = 'rect';
+        this.sceneManager.updateDesk(desk, this.readWalls());
+        this.updateDeskControls();
+    }
+
+    onDeskChanged(historyKey) {
+        this.updateDesk();
+        this.updateViewerAnalysis(); // 눈 위치는 책상 앞 가장자리 기준
+        this.onLayoutChanged(historyKey);
+    }
+
+    // 모양에 따라 필요한 입력만 표시
+    updateDeskControls() {
+        const shape = document.getElementById('desk-shape').value;
+        const front = document.getElementById('desk-front');
+        const isCustom = shape === 'custom';
+        document.getElementById('desk-return-row').style.display = shape === 'l' || shape === 'corner' ? '' : 'none';
+        document.getElementById('desk-front-row').style.display = isCustom ? 'none' : '';
+        ['desk-front-width-group', 'desk-front-depth-group'].forEach(id => {
+            document.getElementById(id).style.visibility = front.value === 'straight' ? 'hidden' : '';
+        });
+        document.getElementById('desk-polygon-editor').style.display = isCustom ? '' : 'none';
+        ['back', 'left', 'right'].forEach(side => {
+            const check = document.getElementById(`wall-${side}-check`);
+            check.closest('.setting-item').classList.toggle('disabled', !check.checked);
+        });
+        if (isCustom) this.renderDeskPolygon();
+    }
+
+    // --- 사용자 다각형 책상 ---
+
+    renderDeskPolygon() {
+        const listEl = document.getElementById('desk-polygon-list');
+        const t = this.translations[this.currentLang];
+        const canRemove = this.deskPolygon.length > 3;
+        const unit = Units.get(this.lengthUnit).label;
+        const step = this.lengthUnit === 'mm' ? 10 : 'any';
+        listEl.innerHTML = this.deskPolygon.map((p, index) => `
+            <div class="desk-vertex-row">
+                <span class="desk-vertex-index">${index + 1}</span>
+                <input type="number" value="${this.fromMm(p.x)}" step="${step}" title="X(${unit})" onchange="window.setDeskVertex(${index}, 'x', this.value)">
+                <input type="number" value="${this.fromMm(p.z)}" step="${step}" title="Z(${unit})" onchange="window.setDeskVertex(${index}, 'z', this.value)">
+                <button class="btn-danger" onclick="window.removeDeskVertex(${index})" title="${t.remove}" ${canRemove ? '' : 'disabled'}>X</button>
+            </div>
+        `).join('');
+    }
+
+    setDeskVertex(index, axis, value) {
+        const parsed = this.toMm(value);
+        if (!this.deskPolygon[index] || !Number.isFinite(parsed)) {
+            this.renderDeskPolygon();
+            return;
+        }
+        this.deskPolygon[index][axis] = parsed;
+        this.onDeskChanged('desk-polygon');
+    }
+
+    // 가장 긴 변의 가운데에 꼭짓점 추가
+    addDeskVertex() {
+        const points = this.deskPolygon;
+        let index = 0;
+        let longest = -1;
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const length = Math.hypot(b.x - a.x, b.z - a.z);
+            if (length > longest) {
+                longest = length;
+                index = i;
+            }
+        });
+        const a = points[index];
+        const b = points[(index + 1) % points.length];
+        points.splice(index + 1, 0, { x: Math.round((a.x + b.x) / 2), z: Math.round((a.z + b.z) / 2) });
+        this.onDeskChanged('desk-polygon-add');
+    }
+
+    removeDeskVertex(index) {
+        if (this.deskPolygon.length <= 3) return;
+        this.deskPolygon.splice(index, 1);
+        this.onDeskChanged('desk-polygon-remove');
     }
 
     initGraphicsToggles() {
@@ -618,7 +2723,7 @@ class App {
         });
     }
 
-    addMonitor() {
+    addMonitor(model = null) {
         const id = ++this.idCounter;
         const config = {
             id: id,
@@ -626,31 +2731,125 @@ class App {
             inches: 27,
             ratioW: 16,
             ratioH: 9,
+            resolution: { w: 2560, h: 1440 },
             curvature: 0,
             isPortrait: false,
-            locked: false
+            locked: false,
+            model: null,
+            bezel: { top: 0, bottom: 0, left: 0, right: 0 },
+            housingDepth: 20,
+            mount: null,
+            group: null,
+            ...(model ? MonitorCatalog.toConfig(model) : {})
         };
         this.monitorList.push(config);
         this.renderList();
         this.sceneManager.addOrUpdateMonitor(config);
+        this.onLayoutChanged();
     }
 
-    toggleLock(id) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config) return;
-
-        config.locked = !config.locked;
-        this.sceneManager.updateLockState(id, config.locked);
-        this.renderList();
+    addMonitorFromCatalog(modelId) {
+        const model = MonitorCatalog.find(modelId);
+        if (!model) return;
+        this.addMonitor(model);
     }
 
-    resetMonitor(id) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config || config.locked) return; // 잠긴 상태면 리셋 방지
+    renderCatalog() {
+        const listEl = document.getElementById('catalog-list');
+        if (!listEl) return;
+        const t = this.translations[this.currentLang];
+        const query = document.getElementById('catalog-search').value;
+        const results = MonitorCatalog.search(query);
 
-        // 두 번째 인자로 null을 전달하여 위치/회전 강제 초기화
-        this.sceneManager.addOrUpdateMonitor(config, null);
-    }
+        if (results.length === 0) {
+            listEl.innerHTML = `<div class="layout-empty">${t.noCatalogResults}</div>`;
+            return;
+        }
+
+        listEl.innerHTML = results.map(model => {
+            const outer = MonitorCatalog.outerSize(model);
+            const curve = model.curvature > 0 ? ` · ${model.curvature}R` : '';
+            return `
+                <div class="catalog-item">
+                    <div class="catalog-info">
+                        <span class="layout-name">${escapeHtml(model.name)}${model.custom ? ` <span class="catalog-badge">${t.customBadge}</span>` : ''}</span>
+                        <span class="layout-date">${model.inches}" · ${model.resolution.w}×${model.resolution.h}${curve}</span>
+                        <span class="layout-date">${t.outerSize} ${Units.formatSize([outer.width, outer.height, model.housingDepth], this.lengthUnit)}</span>
+                    </div>
+                    <div class="order-controls">
+                        <button class="btn-secondary catalog-add" onclick="window.addMonitorFromCatalog('${model.id}')">${t.add}</button>
+                        ${model.custom ? `<button class="btn-danger" onclick="window.removeCustomModel('${model.id}')" title="${t.remove}">X</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    saveCustomModel() {
+        const value = (id) => parseFloat(document.getElementById(id).value);
+        const length = (id) => this.lengthValue(id);
+        const nameInput = document.getElementById('cm-name');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+
+        MonitorCatalog.saveCustom({
+            name,
+            inches: Math.max(1, value('cm-inches') || 27),
+            resolution: {
+                w: Math.max(1, Math.round(value('cm-res-w')) || 2560),
+                h: Math.max(1, Math.round(value('cm-res-h')) || 1440)
+            },
+            curvature: Math.max(0, value('cm-curvature') || 0),
+            // 베젤 0 ~ 200, 본체 두께 1 ~ 500 (LayoutSchema와 같은 범위)
+            bezel: {
+                top: clampOr(length('cm-bezel-top'), 0, 0, 200),
+                bottom: clampOr(length('cm-bezel-bottom'), 0, 0, 200),
+                left: clampOr(length('cm-bezel-left'), 0, 0, 200),
+                right: clampOr(length('cm-bezel-right'), 0, 0, 200)
+            },
+            housingDepth: clampOr(length('cm-depth'), 20, 1, 500),
+            stand: {
+                width: Math.max(0, length('cm-stand-w') || 0),
+                depth: Math.max(0, length('cm-stand-d') || 0),
+                minHeight: Math.max(0, length('cm-stand-min') || 0),
+                maxHeight: Math.max(0, length('cm-stand-max') || 0)
+            }
+        });
+
+        nameInput.value = '';
+        document.getElementById('catalog-search').value = name;
+        this.renderCatalog();
+    }
+
+    removeCustomModel(modelId) {
+        if (!window.confirm(this.translations[this.currentLang].deleteModelConfirm)) return;
+        MonitorCatalog.removeCustom(modelId);
+        this.renderCatalog();
+    }
+
+    toggleLock(id) {
+        const isPeripheral = this.peripheralList.some(p => p.id === id);
+        const config = [...this.monitorList, ...this.peripheralList].find(m => m.id === id);
+        if (!config) return;
+
+        config.locked = !config.locked;
+        this.sceneManager.updateLockState(id, config.locked);
+        if (isPeripheral) this.renderPeripheralList();
+        else this.renderList();
+        this.onLayoutChanged();
+    }
+
+    resetMonitor(id) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config || config.locked) return; // 잠긴 상태면 리셋 방지
+
+        // 두 번째 인자로 null을 전달하여 위치/회전 강제 초기화
+        this.sceneManager.addOrUpdateMonitor(config, null);
+        this.onLayoutChanged();
+    }
 
     updateLanguage() {
         const t = this.translations[this.currentLang];
@@ -658,11 +2857,22 @@ class App {
         // 정적 텍스트 업데이트
         document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
-            if (t[key]) el.textContent = t[key];
+            if (t[key]) el.textContent = this.withUnit(t[key]);
         });
 
         // 모니터 리스트 재생성 (동적 텍스트 업데이트)
         this.renderList();
+        this.renderPeripheralList();
+        this.renderLayoutList();
+        this.renderCatalog();
+        this.renderCameraBookmarks();
+
+        document.getElementById('catalog-search').placeholder = t.catalogSearch;
+        this.updateViewerAnalysis();
+        document.getElementById('undo-btn').title = t.undo;
+        document.getElementById('redo-btn').title = t.redo;
+        document.getElementById('plan-mode-btn').title = t.planMode;
+        document.getElementById('measure-btn').title = t.measure;
 
         // 상호작용 힌트 텍스트 업데이트 (보이는 경우)
         if (this.interactionHintEl && this.interactionHintEl.style.opacity === '1') {
@@ -670,6 +2880,85 @@ class App {
         }
     }
 
+    // --- 길이 단위 ---
+
+    setLengthUnit(unit) {
+        this.convertLengthInputs(unit);
+        LayoutStore.savePreferences({ unit: this.lengthUnit });
+        this.updateLanguage(); // 라벨의 단위, 카드 입력값
+        this.updateDeskControls(); // 다각형 꼭짓점 입력
+        // 스냅 값 표시 갱신 (값은 그대로라 기록은 남지 않음)
+        ['snap-move-check', 'snap-magnet-check'].forEach(id => document.getElementById(id).dispatchEvent(new Event('change')));
+        this.updateViewerAnalysis(); // 측정/인체공학 표시, 평면도 치수
+    }
+
+    // 정적 길이 입력(data-length)의 값과 min/max/step을 새 단위로. 값(mm)은 그대로 유지
+    convertLengthInputs(unit) {
+        const next = Units.has(unit) ? unit : Units.DEFAULT;
+        const inputs = [...document.querySelectorAll('input[data-length]')];
+        const values = inputs.map(el => this.readLength(el));
+        this.lengthUnit = next;
+        this.sceneManager.lengthUnit = next;
+
+        inputs.forEach((el, i) => {
+            // 처음 한 번 HTML에 적힌 mm 기준 범위를 기억
+            if (el.dataset.mmStep === undefined) {
+                el.dataset.mmMin = el.getAttribute('min') ?? '';
+                el.dataset.mmMax = el.getAttribute('max') ?? '';
+                el.dataset.mmStep = el.getAttribute('step') ?? '';
+            }
+            const { mmMin, mmMax, mmStep } = el.dataset;
+            if (el.type === 'range') {
+                // 슬라이더는 그 단위의 깔끔한 간격으로
+                const step = Units.step(parseFloat(mmStep), next);
+                const perStep = Units.get(next).perUnit * step;
+                el.step = step;
+                el.min = Math.ceil(parseFloat(mmMin) / perStep) * step;
+                el.max = Math.floor(parseFloat(mmMax) / perStep) * step;
+            } else {
+                if (mmMin) el.min = Units.fromMm(parseFloat(mmMin), next);
+                if (mmMax) el.max = Units.fromMm(parseFloat(mmMax), next);
+                if (next !== 'mm') el.step = 'any';
+                else if (mmStep) el.step = mmStep;
+                else el.removeAttribute('step');
+            }
+            if (Number.isFinite(values[i])) this.setLength(el, values[i]);
+        });
+    }
+
+    // 입력창 값(현재 단위) -> mm. 마지막으로 넣은 값이 그대로면 반올림 전 mm를 돌려줌
+    readLength(el) {
+        if (el.dataset.mm !== undefined && el.value === el.dataset.shown) return parseFloat(el.dataset.mm);
+        return this.toMm(el.value);
+    }
+
+    setLength(el, mm) {
+        el.value = Units.fromMm(mm, this.lengthUnit);
+        el.dataset.mm = mm;
+        el.dataset.shown = el.value; // 슬라이더는 step에 맞춰 바뀐 값
+    }
+
+    lengthValue(id) {
+        return this.readLength(document.getElementById(id));
+    }
+
+    // 카드 입력값 문자열 -> mm (해석할 수 없으면 NaN)
+    toMm(value) {
+        return Units.toMm(parseFloat(value), this.lengthUnit);
+    }
+
+    fromMm(mm) {
+        return Units.fromMm(mm, this.lengthUnit);
+    }
+
+    formatLength(mm, extraDigits = 0) {
+        return Units.format(mm, this.lengthUnit, extraDigits);
+    }
+
+    withUnit(text) {
+        return text.replace('{unit}', Units.get(this.lengthUnit).label);
+    }
+
     renderList() {
         const listEl = document.getElementById('monitor-list');
         listEl.innerHTML = '';
@@ -677,11 +2966,13 @@ class App {
 
         this.monitorList.forEach((config, index) => {
             const item = document.createElement('div');
-            item.className = 'monitor-item';
+            item.className = this.sceneManager.selectedIds.has(config.id) ? 'monitor-item selected' : 'monitor-item';
+            item.dataset.id = config.id;
             const upDisabled = index === 0 ? 'disabled' : '';
             const downDisabled = index === this.monitorList.length - 1 ? 'disabled' : '';
 
             const isCurved = config.curvature > 0;
+            const { resolution } = MonitorFactory.dimensions(config);
             const rotateBtnDisplay = isCurved ? 'inline-block' : 'none';
             const rotateBtnClass = config.isPortrait ? 'btn-icon active' : 'btn-icon';
 
@@ -704,7 +2995,9 @@ class App {
 
             item.innerHTML = `
                 <div class="monitor-header">
-                    <span>${config.name}</span>
+                    <span class="monitor-name" onclick="window.selectFromList(${config.id}, event)" title="${t.selectHint}">
+                        ${escapeHtml(config.name)}${config.group ? ` <span class="group-badge">G${config.group}</span>` : ''}
+                    </span>
                     <div class="order-controls">
                         <button class="${lockBtnClass}" onclick="window.toggleLock(${config.id})" title="${t.lock}">
                             ${lockIcon}
@@ -736,6 +3029,40 @@ class App {
                     </div>
                 </div>
 
+                <div style="display: flex; gap: 10px; align-items: flex-end; margin-bottom: 10px;">
+                    <div style="flex: 1;">
+                        <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${t.resolution}</label>
+                        <div style="display: flex; gap: 2px; align-items: center;">
+                            <input type="number" min="1" value="${resolution.w}" style="width:100%;"
+                                   onchange="window.updateMonitor(${config.id}, 'resolution.w', this.value)">
+                            <span style="color:#666;">×</span>
+                            <input type="number" min="1" value="${resolution.h}" style="width:100%;"
+                                   onchange="window.updateMonitor(${config.id}, 'resolution.h', this.value)">
+                        </div>
+                    </div>
+                </div>
+
+                <div style="display: flex; gap: 10px; align-items: flex-end; margin-bottom: 6px;">
+                    <div style="flex: 3;">
+                        <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${t.bezelShort}</label>
+                        <div style="display: flex; gap: 2px;">
+                            ${['top', 'bottom', 'left', 'right'].map(side => `
+                                <input type="number" min="0" step="any" value="${this.fromMm(config.bezel?.[side] ?? 0)}" style="width:100%;"
+                                       onchange="window.updateMonitor(${config.id}, 'bezel.${side}', this.value)">
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div style="flex: 1;">
+                        <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${t.depthShort}</label>
+                        <input type="number" min="${this.fromMm(1)}" step="any" value="${this.fromMm(config.housingDepth ?? 20)}" style="width:100%;"
+                               onchange="window.updateMonitor(${config.id}, 'housingDepth', this.value)">
+                    </div>
+                </div>
+                <div class="monitor-dims" id="dims-${config.id}">${this.formatDimensions(config)}</div>
+                <div class="monitor-dims" id="density-${config.id}">${this.formatDensity(config)}</div>
+
+                ${this.renderTransformControls(config)}
+
                 <div class="control-group">
                     <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${t.type}</label>
                     <div style="display:flex; gap: 15px; margin-bottom: 5px;">
@@ -766,146 +3093,4463 @@ class App {
                         <span id="curv-val-${config.id}" class="setting-value">${config.curvature || 1500}R</span>
                     </div>
                 </div>
+
+                ${this.renderMountControls(config)}
+                ${this.renderScreenContentControls(config)}
             `;
             listEl.appendChild(item);
         });
+
+        this.updateMountWarnings();
+        this.onSelectionChanged();
     }
 
-    setCurvatureType(id, type) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config) return;
+    // --- 화면 콘텐츠 ---
 
-        if (type === 'flat') {
-            config.curvature = 0;
+    renderScreenContentControls(config) {
+        const t = this.translations[this.currentLang];
+        const own = this.sceneManager.screenContent.screens.get(config.id);
+        return `
+            <div class="screen-content-row">
+                <span class="setting-label">${t.screenContent}</span>
+                <span class="screen-content-name" title="${own ? escapeHtml(own.name) : ''}">${own ? escapeHtml(own.name) : '—'}</span>
+                <button class="btn-secondary" onclick="window.pickScreenContent(${config.id})">${t.ownContent}</button>
+                ${own ? `<button class="btn-danger" onclick="window.clearScreenContent(${config.id})" title="${t.remove}">X</button>` : ''}
+            </div>
+        `;
+    }
+
+    // id = null이면 전체 배경화면, 아니면 그 화면에만
+    pickScreenContent(id = null) {
+        this.contentTargetId = id;
+        document.getElementById('content-file-input').click();
+    }
+
+    async loadScreenContent(file) {
+        const t = this.translations[this.currentLang];
+        const content = this.sceneManager.screenContent;
+        const targetId = this.contentTargetId;
+        let source;
+        try {
+            source = await ScreenContent.load(file);
+        } catch (err) {
+            this.showLayoutReport(t.contentLoadFailed, [err.message], true);
+            return;
+        }
+
+        if (targetId === null) {
+            ScreenContent.release(content.wallpaper);
+            content.wallpaper = source;
         } else {
-            if (config.curvature <= 0) config.curvature = 1500;
+            ScreenContent.release(content.screens.get(targetId));
+            content.screens.set(targetId, source);
+            this.renderList();
         }
-        
-        this.renderList();
-        this.refresh3D(config);
+        this.renderWallpaperInfo();
+        this.updateViewerAnalysis();
     }
 
-    updateMonitor(id, key, value) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config) return;
+    clearScreenContent(id = null) {
+        const content = this.sceneManager.screenContent;
+        if (id === null) {
+            ScreenContent.release(content.wallpaper);
+            content.wallpaper = null;
+        } else {
+            ScreenContent.release(content.screens.get(id));
+            content.screens.delete(id);
+            this.renderList();
+        }
+        this.renderWallpaperInfo();
+        this.updateViewerAnalysis();
+    }
 
-        const parsed = parseFloat(value);
+    renderWallpaperInfo() {
+        const { wallpaper } = this.sceneManager.screenContent;
+        const info = document.getElementById('wallpaper-info');
+        info.textContent = wallpaper ? `${wallpaper.name} · ${wallpaper.width}×${wallpaper.height}` : '';
+        document.getElementById('clear-wallpaper-btn').disabled = !wallpaper;
+    }
 
-        if (key === 'inches') {
-            config[key] = Math.max(1, parsed || 27);
-        } else if (key === 'ratioW') {
-            config[key] = Math.max(0.1, parsed || 16);
-        } else if (key === 'ratioH') {
-            config[key] = Math.max(0.1, parsed || 9);
+    // --- Peripherals ---
+
+    addPeripheral(type) {
+        const preset = PeripheralFactory.TYPES[type];
+        if (!preset) return;
+        const id = ++this.idCounter;
+        const config = {
+            id,
+            type,
+            name: `${preset.label} ${id}`,
+            locked: false,
+            size: { width: preset.width, depth: preset.depth, height: preset.height },
+            open: true // 노트북 화면 펼침
+        };
+        this.peripheralList.push(config);
+        this.sceneManager.addOrUpdatePeripheral(config);
+        this.renderPeripheralList();
+        this.onLayoutChanged();
+    }
+
+    updatePeripheral(id, key, value) {
+        const config = this.peripheralList.find(p => p.id === id);
+        if (!config) return;
+        if (key === 'open') {
+            config.open = !!value;
         } else {
-            config[key] = parsed;
+            const parsed = this.toMm(value);
+            if (!(parsed >= 1)) {
+                this.renderPeripheralList();
+                return;
+            }
+            config.size[key] = parsed;
         }
+        // 크기가 바뀌어도 현재 위치/회전은 유지
+        const object = this.sceneManager.findObject(id);
+        const prev = object ? { position: object.position.clone(), rotation: object.rotation.clone() } : null;
+        this.sceneManager.addOrUpdatePeripheral(config, prev);
+        this.renderPeripheralList();
+        this.onLayoutChanged();
+    }
 
-        this.refresh3D(config);
+    resetPeripheral(id) {
+        const config = this.peripheralList.find(p => p.id === id);
+        if (!config || config.locked) return;
+        this.sceneManager.addOrUpdatePeripheral(config, null);
+        this.onLayoutChanged();
     }
 
-    swapRatio(id) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config) return;
+    removePeripheral(id) {
+        this.removeObjects([id]);
+    }
 
-        const temp = config.ratioW;
-        config.ratioW = config.ratioH;
-        config.ratioH = temp;
+    // 모니터와 주변기기가 섞인 선택을 한 번에 삭제 (Delete 키)
+    removeObjects(ids) {
+        const itemIds = ids.filter(id => this.peripheralList.some(p => p.id === id));
+        const monitorIds = ids.filter(id => !itemIds.includes(id));
+        if (itemIds.length > 0) {
+            this.peripheralList = this.peripheralList.filter(p => !itemIds.includes(p.id));
+            itemIds.forEach(id => this.sceneManager.removePeripheralMesh(id));
+            // 지운 물건에 붙어 있던 측정은 함께 삭제
+            this.measurements = this.measurements.filter(({ a, b }) => !itemIds.includes(a.monitorId) && !itemIds.includes(b.monitorId));
+            this.renderPeripheralList();
+        }
+        if (monitorIds.length > 0) this.removeMonitors(monitorIds);
+        else if (itemIds.length > 0) this.onLayoutChanged();
+    }
 
-        this.renderList();
-        this.refresh3D(config);
+    renderPeripheralList() {
+        const listEl = document.getElementById('peripheral-list');
+        if (!listEl) return;
+        listEl.innerHTML = '';
+        const t = this.translations[this.currentLang];
+
+        this.peripheralList.forEach(config => {
+            const item = document.createElement('div');
+            item.className = this.sceneManager.selectedIds.has(config.id) ? 'monitor-item selected' : 'monitor-item';
+            item.dataset.id = config.id;
+
+            const lockBtnClass = config.locked ? 'btn-icon active' : 'btn-icon';
+            const lockIcon = `
+                <svg viewBox="0 0 24 24">
+                    <path d="M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zM9 6c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6z"/>
+                </svg>
+            `;
+            const resetIcon = `
+                <svg viewBox="0 0 24 24">
+                    <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+                </svg>
+            `;
+            const sizeInput = (key, label) => `
+                <div style="flex: 1;">
+                    <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${label}</label>
+                    <input type="number" min="${this.fromMm(1)}" step="any" value="${this.fromMm(config.size[key])}" style="width:100%; box-sizing:border-box;"
+                           onchange="window.updatePeripheral(${config.id}, '${key}', this.value)">
+                </div>
+            `;
+
+            item.innerHTML = `
+                <div class="monitor-header">
+                    <span class="monitor-name" onclick="window.selectFromList(${config.id}, event)" title="${t.selectHint}">
+                        ${escapeHtml(config.name)} <span class="item-type">${t[`item_${config.type}`]}</span>
+                    </span>
+                    <div class="order-controls">
+                        <button class="${lockBtnClass}" onclick="window.toggleLock(${config.id})" title="${t.lock}">
+                            ${lockIcon}
+                        </button>
+                        <button class="btn-icon" onclick="window.resetPeripheral(${config.id})" title="${t.reset}">
+                            ${resetIcon}
+                        </button>
+                        <button class="btn-danger" onclick="window.removePeripheral(${config.id})" style="margin-left:5px" title="${t.remove}">X</button>
+                    </div>
+                </div>
+
+                <div style="display: flex; gap: 10px; align-items: flex-end;">
+                    ${sizeInput('width', this.withUnit(t.itemWidth))}
+                    ${sizeInput('depth', this.withUnit(t.itemDepth))}
+                    ${sizeInput('height', this.withUnit(t.itemHeight))}
+                </div>
+                ${config.type === 'laptop' ? `
+                <div class="setting-item" style="margin-top: 8px;">
+                    <input type="checkbox" ${config.open ? 'checked' : ''}
+                           onchange="window.updatePeripheral(${config.id}, 'open', this.checked)">
+                    <span class="setting-label" style="width: auto;">${t.laptopOpen}</span>
+                </div>` : ''}
+            `;
+            listEl.appendChild(item);
+        });
     }
-    
-    rotateMonitor(id) {
-        const config = this.monitorList.find(m => m.id === id);
-        if (!config) return;
-        
-        config.isPortrait = !config.isPortrait;
-        
-        this.renderList(); 
-        this.refresh3D(config);
+
+    // 위치(mm)/각도(°) 입력. 드래그 중에는 updateTransformFields가 값만 갱신
+    renderTransformControls(config) {
+        const t = this.translations[this.currentLang];
+        const pose = this.sceneManager.getMonitorPose(config.id);
+        const disabled = config.locked ? 'disabled' : '';
+        const field = (key, label) => `
+            <div class="transform-field">
+                <label>${label}</label>
+                <input type="text" inputmode="decimal" id="pose-${config.id}-${key}" ${disabled}
+                       value="${pose ? this.formatPoseValue(key, pose[key]) : ''}" title="${t.relativeInputHint}"
+                       onchange="window.setMonitorPose(${config.id}, '${key}', this.value)">
+            </div>
+        `;
+
+        return `
+            <div class="control-group">
+                <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${this.withUnit(t.position)}</label>
+                <div class="transform-fields">${field('x', 'X')}${field('y', 'Y')}${field('z', 'Z')}</div>
+                <label style="display:block; font-size:12px; margin:6px 0 4px; color:#888;">${t.rotationDeg}</label>
+                <div class="transform-fields">${field('yaw', t.yaw)}${field('tilt', t.tilt)}${field('roll', t.roll)}</div>
+            </div>
+        `;
     }
 
-    refresh3D(config) {
-        const oldObj = this.sceneManager.monitors.find(m => m.userData.id === config.id);
-        const prevTransform = oldObj ? {
-            position: oldObj.position.clone(),
-            rotation: oldObj.rotation.clone()
-        } : null;
-        this.sceneManager.addOrUpdateMonitor(config, prevTransform);
-        this.validateMonitor(config.id);
+    formatPoseValue(key, value) {
+        if (['x', 'y', 'z'].includes(key)) return String(Units.fromMm(value, this.lengthUnit, Units.get(this.lengthUnit).display));
+        return String(Number(value.toFixed(1)) || 0); // -0 방지
     }
 
-    validateMonitor(id) {
-        const monitor = this.sceneManager.monitors.find(m => m.userData.id === id);
+    updateTransformFields() {
+        this.monitorList.forEach(config => {
+            const pose = this.sceneManager.getMonitorPose(config.id);
+            if (!pose) return;
+            Object.keys(pose).forEach(key => {
+                const input = document.getElementById(`pose-${config.id}-${key}`);
+                if (input) input.value = this.formatPoseValue(key, pose[key]);
+            });
+        });
+    }
+
+    // "650", "-50" = 절대값 (음수 좌표/각도를 바로 입력), "+50" / "+=50" / "-=50" = 현재 값 기준 상대값. 해석할 수 없으면 null
+    // scale: 입력한 숫자 1당 값 (길이는 표시 단위 1당 mm)
+    parseRelativeInput(text, current, scale = 1) {
+        const match = String(text).trim().match(/^(\+=?|-=)?\s*(-?(?:\d+\.?\d*|\.\d+))$/);
+        if (!match) return null;
+        const value = parseFloat(match[2]) * scale;
+        if (!match[1]) return value;
+        return match[1] === '-=' ? current - value : current + value;
+    }
+
+    setMonitorPose(id, key, text) {
+        const sm = this.sceneManager;
         const config = this.monitorList.find(m => m.id === id);
-        
-        if (!config) return;
+        const pose = sm.getMonitorPose(id);
+        const scale = ['x', 'y', 'z'].includes(key) ? Units.get(this.lengthUnit).perUnit : 1;
+        const value = pose ? this.parseRelativeInput(text, pose[key], scale) : null;
+        if (!config || config.locked || value === null) {
+            this.updateTransformFields(); // 잘못된 입력은 현재 값으로 되돌림
+            return;
+        }
 
-        const isValid = monitor && Number.isFinite(monitor.position.x) && Number.isFinite(monitor.position.y) && Number.isFinite(monitor.position.z);
+        sm.setMonitorPose(id, { ...pose, [key]: value });
+        const monitor = sm.findObject(id);
+        const issues = sm.constrainToMount(monitor, true);
+        sm.updateMount(monitor);
+        if (sm.selectedIds.has(id)) sm.attachSelection();
+        if (issues.length > 0) this.onMonitorTransforming(id, issues); // 마운트 한계로 보정된 항목 안내
+        this.onLayoutChanged();
+    }
 
-        if (!isValid) {
-            console.warn(`Monitor ${id} rendering issue detected. Resetting.`);
-            this.sceneManager.addOrUpdateMonitor(config, null); 
+    renderMountControls(config) {
+        const t = this.translations[this.currentLang];
+        const mount = config.mount;
+        const type = mount ? mount.type : 'none';
+        const field = (key, label) => `
+            <div class="mount-field">
+                <label>${label}</label>
+                <input type="number" step="any" value="${App.MOUNT_LENGTHS.includes(key) ? this.fromMm(mount[key]) : mount[key]}"
+                       onchange="window.updateMonitor(${config.id}, 'mount.${key}', this.value)">
+            </div>
+        `;
+
+        let fields = '';
+        if (mount) {
+            fields = [
+                ...(type === 'stand'
+                    ? [field('baseWidth', t.mountBaseWidth), field('baseDepth', t.mountBaseDepth), field('baseYaw', t.mountBaseYaw)]
+                    : [field('clampX', t.mountClampX), field('reach', t.mountReach)]),
+                field('minHeight', t.mountMinHeight),
+                field('maxHeight', t.mountMaxHeight),
+                field('tiltMin', t.mountTiltMin),
+                field('tiltMax', t.mountTiltMax),
+                field('swivelMin', t.mountSwivelMin),
+                field('swivelMax', t.mountSwivelMax)
+            ].join('');
         }
+
+        return `
+            <div class="control-group mount-group">
+                <label style="display:block; font-size:12px; margin-bottom:4px; color:#888;">${t.mount}</label>
+                <select onchange="window.setMountType(${config.id}, this.value)">
+                    <option value="none" ${type === 'none' ? 'selected' : ''}>${t.mountNone}</option>
+                    <option value="stand" ${type === 'stand' ? 'selected' : ''}>${t.mountStand}</option>
+                    <option value="arm" ${type === 'arm' ? 'selected' : ''}>${t.mountArm}</option>
+                </select>
+                ${mount ? `
+                    <details class="mount-details">
+                        <summary>${t.mountLimits}</summary>
+                        <div class="mount-fields">${fields}</div>
+                        <label class="mount-pivot">
+                            <input type="checkbox" ${mount.pivot ? 'checked' : ''}
+                                   onchange="window.updateMonitor(${config.id}, 'mount.pivot', this.checked)">
+                            ${t.mountPivot}
+                        </label>
+                    </details>
+                ` : ''}
+                <div class="mount-warning" id="mount-warn-${config.id}" style="display:none;"></div>
+            </div>
+        `;
     }
 
-    moveItem(index, direction) {
-        if (index + direction < 0 || index + direction >= this.monitorList.length) return;
-        const temp = this.monitorList[index];
-        this.monitorList[index] = this.monitorList[index + direction];
-        this.monitorList[index + direction] = temp;
-        this.renderList();
+    // 실제 놓인 방향 기준 가로 × 세로 (mm)
+    formatDimensions(config) {
+        const t = this.translations[this.currentLang];
+        const d = MonitorFactory.dimensions(config);
+        const size = (w, h) => Units.formatSize(config.isPortrait ? [h, w] : [w, h], this.lengthUnit);
+        return `${t.activeArea} ${size(d.widthMm, d.heightMm)} · ${t.outerSize} ${size(d.outerWidth, d.outerHeight)}`;
     }
 
-    removeMonitor(id) {
-        this.monitorList = this.monitorList.filter(m => m.id !== id);
-        this.sceneManager.removeMonitorMesh(id);
-        this.renderList();
+    formatDensity(config) {
+        const t = this.translations[this.currentLang];
+        const { inches, ratioW, ratioH, resolution } = MonitorFactory.dimensions(config);
+        const ppi = PixelDensity.ppi(resolution, inches);
+        // 해상도 비율이 화면 비율과 다르면 정사각형 픽셀이 아님
+        const mismatch = Math.abs(resolution.w / resolution.h - ratioW / ratioH) > 0.02 * (ratioW / ratioH);
+        return `${Math.round(ppi)} PPI · ${t.pixelPitch} ${this.formatLength(25.4 / ppi, 3)}${mismatch ? ` · ⚠ ${t.resolutionRatioMismatch}` : ''}`;
     }
-}
 
-// Modify SceneManager.onPointerDown to control the hint
-SceneManager.prototype.onPointerDown = (function (originalOnPointerDown) {
-    return function (event) {
-        if (this.transformControls.dragging || this.transformControls.axis) return;
+    // --- Collisions ---
 
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    updateCollisions() {
+        const { monitors, deskSize, mounts, walls } = this.sceneManager;
+        const result = CollisionDetector.detect(monitors, deskSize, mounts, walls, this.sceneManager.peripherals);
+        this.sceneManager.highlightCollisions(result);
 
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        
-        const intersects = this.raycaster.intersectObjects(this.monitors, true);
+        const listEl = document.getElementById('collision-list');
+        if (!listEl) return;
+        const t = this.translations[this.currentLang];
+        const nameOf = (id) => {
+            const config = [...this.monitorList, ...this.peripheralList].find(m => m.id === id);
+            return escapeHtml(config ? config.name : `#${id}`);
+        };
 
-        if (intersects.length > 0) {
-            for (let i = 0; i < intersects.length; i++) {
-                let target = intersects[i].object;
+        const items = [
+            ...result.overlaps.map(([a, b]) => `<li class="overlap">${nameOf(a)} ↔ ${nameOf(b)}: ${t.collisionOverlap}</li>`),
+            ...result.belowDesk.map(id => `<li>${nameOf(id)}: ${t.collisionBelowDesk}</li>`),
+            ...result.offDesk.map(id => `<li>${nameOf(id)}: ${t.collisionOffDesk}</li>`),
+            ...result.throughWall.map(id => `<li>${nameOf(id)}: ${t.collisionThroughWall}</li>`),
+            ...result.peripherals.map(({ monitorId, itemId, part }) =>
+                `<li class="overlap">${nameOf(monitorId)} ↔ ${nameOf(itemId)}: ${part === 'stand' ? t.collisionStand : t.collisionOverlap}</li>`)
+        ];
 
-                while (target && target !== this.scene && (!target.userData || !target.userData.isMonitor)) {
-                    target = target.parent;
-                }
+        listEl.style.display = items.length > 0 ? 'block' : 'none';
+        listEl.innerHTML = items.length > 0 ? `<div class="collision-title">⚠ ${t.collisions}</div><ul>${items.join('')}</ul>` : '';
+    }
 
-                if (target && target.userData && target.userData.isMonitor) {
-                    if (target.userData.locked) {
-                        window.appInstance.hideInteractionHint(); // 잠긴 모니터는 힌트 숨김
-                        continue;
-                    }
+    // --- Ergonomics ---
 
-                    if (this.transformControls.object === target) {
-                        const currentMode = this.transformControls.getMode();
-                        this.transformControls.setMode(currentMode === 'translate' ? 'rotate' : 'translate');
-                    } else {
-                        this.selectMonitor(target);
-                        this.transformControls.setMode('translate');
-                    }
-                    window.appInstance.showInteractionHint(); // 모니터 선택 또는 모드 전환 시 힌트 표시
-                    return;
-                }
-            }
+    getEyePosition() {
+        // 거리는 눈 바로 앞(x = offsetX)의 책상 앞 가장자리 기준 (앞면 홈/곡선 안쪽 포함)
+        const { outline, extent } = this.sceneManager.deskSize;
+        const front = DeskShape.edgeAt(outline, this.viewer.offsetX, 'front') ?? extent.maxZ;
+        return new THREE.Vector3(this.viewer.offsetX, this.viewer.eyeHeight, front + this.viewer.distance);
+    }
+
+    // 눈 위치 기반 분석(인체공학, 시야각)을 모두 갱신
+    updateViewerAnalysis() {
+        const eye = this.getEyePosition();
+        this.sceneManager.updateViewer(eye, this.showViewer);
+        this.sceneManager.updateScreenContent(eye); // 펼친 배경화면은 화면 위치에 따라 달라짐
+        this.renderErgonomics(eye);
+        this.renderFieldOfView(eye);
+        this.renderPixelDensity(eye);
+        this.renderMeasurements();
+        this.sceneManager.planDirty = true;
+    }
+
+    renderErgonomics(eye) {
+        const panel = document.getElementById('ergonomics-panel');
+        if (!panel) return;
+        const t = this.translations[this.currentLang];
+        const result = Ergonomics.analyze(this.sceneManager.monitors, eye);
+
+        if (result.monitors.length === 0) {
+            panel.innerHTML = `<div class="layout-empty">${t.noMonitorsToAnalyze}</div>`;
+            return;
         }
-        
-        this.transformControls.detach();
+
+        const metric = (label, value, pass) => `
+            <div class="ergo-metric ${pass ? 'pass' : 'warn'}">
+                <span class="ergo-label">${label}</span>
+                <span class="ergo-value">${value}</span>
+            </div>
+        `;
+        const deg = (v) => `${v > 0 ? '+' : ''}${v.toFixed(1)}°`;
+
+        const rows = result.monitors.map(r => {
+            const config = this.monitorList.find(m => m.id === r.id);
+            return `
+                <div class="ergo-monitor">
+                    <div class="ergo-name">${escapeHtml(config ? config.name : `#${r.id}`)}</div>
+                    <div class="ergo-grid">
+                        ${metric(t.viewDistance, this.formatLength(r.distance), r.distancePass)}
+                        ${metric(t.viewAngle, deg(r.verticalAngle), r.verticalAnglePass)}
+                        ${metric(t.topEdge, r.topEdgePass ? t.atOrBelowEye : `${t.aboveEye} ${this.formatLength(r.topEdgeAboveEye)}`, r.topEdgePass)}
+                        ${metric(t.offAxis, `${r.offAxisAngle.toFixed(1)}°`, r.offAxisPass)}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            ${rows}
+            <div class="ergo-summary">
+                ${metric(t.neckRange, `${deg(result.neckRange.min)} ~ ${deg(result.neckRange.max)}`, result.neckRange.pass)}
+            </div>
+        `;
+    }
+
+    renderFieldOfView(eye) {
+        const panel = document.getElementById('fov-panel');
+        const canvas = document.getElementById('fov-diagram');
+        if (!panel || !canvas) return;
+        const t = this.translations[this.currentLang];
+        const result = FieldOfView.analyze(this.sceneManager.monitors, eye);
+        const nameOf = (id) => {
+            const config = this.monitorList.find(m => m.id === id);
+            return escapeHtml(config ? config.name : `#${id}`);
+        };
+        const colorOf = (id) => FieldOfView.colorFor(this.monitorList.findIndex(m => m.id === id));
+
+        FieldOfView.drawDiagram(canvas, result, colorOf);
+
+        if (result.monitors.length === 0) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        const rows = result.monitors.map(r => `
+            <div class="fov-row">
+                <span class="fov-swatch" style="background:${colorOf(r.id)}"></span>
+                <span class="fov-name">${nameOf(r.id)}</span>
+                <span class="fov-value">H ${r.hFov.toFixed(1)}°</span>
+                <span class="fov-value">V ${r.vFov.toFixed(1)}°</span>
+            </div>
+        `).join('');
+        const gaps = result.gaps.map(gap => `
+            <div class="fov-row fov-gap">
+                <span class="fov-name">${nameOf(gap.leftId)} ↔ ${nameOf(gap.rightId)}</span>
+                <span class="fov-value">${gap.size.toFixed(1)}°</span>
+            </div>
+        `).join('');
+
+        panel.innerHTML = `
+            ${rows}
+            <div class="fov-summary">
+                <div>${t.fovCombined}: <b>${result.coverage.toFixed(1)}°</b> / ${t.fovSpan} ${result.span.toFixed(1)}°</div>
+                <div>${t.fovVertical}: <b>${(result.vMax - result.vMin).toFixed(1)}°</b> (${result.vMin.toFixed(1)}° ~ ${result.vMax.toFixed(1)}°)</div>
+                ${result.gaps.length > 0 ? `<div class="fov-gap-title">${t.fovGaps}</div>${gaps}` : ''}
+            </div>
+        `;
+    }
+
+    renderPixelDensity(eye) {
+        const panel = document.getElementById('density-panel');
+        if (!panel) return;
+        const t = this.translations[this.currentLang];
+        const result = PixelDensity.analyze(this.sceneManager.monitors, eye);
+        const nameOf = (id) => {
+            const config = this.monitorList.find(m => m.id === id);
+            return escapeHtml(config ? config.name : `#${id}`);
+        };
+
+        if (result.monitors.length === 0) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        const rows = result.monitors.map(r => `
+            <div class="fov-row">
+                <span class="fov-name">${nameOf(r.id)}</span>
+                <span class="fov-value">${Math.round(r.ppi)} PPI</span>
+                <span class="fov-value">${t.recommendedScale} ${Math.round(r.scale * 100)}%</span>
+            </div>
+        `).join('');
+        const warnings = result.mismatches.map(w => `
+            <li>
+                ${nameOf(w.largerId)} ↔ ${nameOf(w.smallerId)}:
+                ${t.textSizeMismatch.replace('{percent}', Math.round((w.nativeRatio - 1) * 100))}
+                (${t.withRecommendedScale} ${Math.round((w.scaledRatio - 1) * 100)}%)
+            </li>
+        `).join('');
+
+        panel.innerHTML = `
+            ${rows}
+            ${warnings ? `<div class="density-warning"><div class="collision-title">⚠ ${t.mixedPpi}</div><ul>${warnings}</ul></div>` : ''}
+        `;
+    }
+
+    // --- 카메라 시점 ---
+
+    // name: 'front' | 'top' | 'left' | 'right' | 'iso' | 'fit' | 'seated'
+    setView(name) {
+        if (this.sceneManager.planMode) this.togglePlanMode();
+        if (name === 'seated') {
+            const view = this.sceneManager.getSeatedView(this.getEyePosition(), this.povFov);
+            this.sceneManager.moveCamera(view, { horizontalFov: this.povFov });
+        } else {
+            this.sceneManager.moveCamera(this.sceneManager.getPresetView(name));
+        }
+    }
+
+    saveCameraBookmark() {
+        const input = document.getElementById('camera-name');
+        const { position, target, fov } = this.sceneManager.getCameraView();
+        const toPoint = (v) => ({ x: v.x, y: v.y, z: v.z });
+        this.cameraBookmarks.push({
+            name: input.value.trim() || `View ${this.cameraBookmarks.length + 1}`,
+            position: toPoint(position),
+            target: toPoint(target),
+            fov
+        });
+        input.value = '';
+        this.renderCameraBookmarks();
+        this.scheduleAutosave();
+    }
+
+    goToCameraBookmark(index) {
+        const bookmark = this.cameraBookmarks[index];
+        if (!bookmark) return;
+        if (this.sceneManager.planMode) this.togglePlanMode();
+        const { x, y, z } = bookmark.position;
+        this.sceneManager.moveCamera({
+            position: new THREE.Vector3(x, y, z),
+            target: new THREE.Vector3(bookmark.target.x, bookmark.target.y, bookmark.target.z),
+            fov: bookmark.fov
+        });
+    }
+
+    removeCameraBookmark(index) {
+        this.cameraBookmarks.splice(index, 1);
+        this.renderCameraBookmarks();
+        this.scheduleAutosave();
+    }
+
+    renderCameraBookmarks() {
+        const listEl = document.getElementById('camera-list');
+        if (!listEl) return;
+        const t = this.translations[this.currentLang];
+        document.getElementById('camera-name').placeholder = t.cameraNamePlaceholder;
+
+        if (this.cameraBookmarks.length === 0) {
+            listEl.innerHTML = `<div class="layout-empty">${t.noCameraBookmarks}</div>`;
+            return;
+        }
+
+        listEl.innerHTML = this.cameraBookmarks.map((bookmark, index) => `
+            <div class="layout-item">
+                <div class="layout-info" onclick="window.goToCameraBookmark(${index})" title="${t.goToView}">
+                    <span class="layout-name">${escapeHtml(bookmark.name)}</span>
+                </div>
+                <div class="order-controls">
+                    <button class="btn-danger" onclick="window.removeCameraBookmark(${index})" title="${t.remove}">X</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // --- 측정 ---
+
+    toggleMeasureMode() {
+        const enabled = !this.sceneManager.measureMode;
+        this.sceneManager.setMeasureMode(enabled);
+        document.getElementById('measure-btn').classList.toggle('active', enabled);
+        if (enabled) this.showInteractionHint();
+        else this.hideInteractionHint();
+    }
+
+    addMeasurement(a, b) {
+        this.measurements.push({ a, b });
+        this.renderMeasurements();
+        this.onLayoutChanged();
+    }
+
+    removeMeasurement(index) {
+        this.measurements.splice(index, 1);
+        this.renderMeasurements();
+        this.onLayoutChanged();
+    }
+
+    clearMeasurements() {
+        if (this.measurements.length === 0) return;
+        this.measurements = [];
+        this.renderMeasurements();
+        this.onLayoutChanged();
+    }
+
+    renderMeasurements() {
+        this.sceneManager.updateMeasurements(this.measurements);
+        const panel = document.getElementById('measure-panel');
+        if (!panel) return;
+        const t = this.translations[this.currentLang];
+        const nameOf = (ref) => {
+            if (ref.monitorId === null) return t.measureDesk;
+            const config = [...this.monitorList, ...this.peripheralList].find(m => m.id === ref.monitorId);
+            return escapeHtml(config ? config.name : `#${ref.monitorId}`);
+        };
+
+        document.getElementById('clear-measurements-btn').disabled = this.measurements.length === 0;
+        if (this.measurements.length === 0) {
+            panel.innerHTML = `<div class="measure-empty">${t.measureEmpty}</div>`;
+            return;
+        }
+
+        panel.innerHTML = this.measurements.map(({ a, b }, index) => {
+            const start = this.sceneManager.resolveMeasurePoint(a);
+            const end = this.sceneManager.resolveMeasurePoint(b);
+            if (!start || !end) return '';
+            const { distance, dx, dy, dz } = Measurement.measure(start, end);
+            return `
+                <div class="fov-row">
+                    <span class="fov-name">${index + 1}. ${nameOf(a)} → ${nameOf(b)}</span>
+                    <span class="fov-value">${this.formatLength(distance)}</span>
+                    <button class="btn-icon" title="${t.removeMeasurement}" onclick="removeMeasurement(${index})">✕</button>
+                </div>
+                <div class="measure-axes">ΔX ${this.formatLength(dx)} · ΔY ${this.formatLength(dy)} · ΔZ ${this.formatLength(dz)}</div>
+            `;
+        }).join('');
+    }
+
+    setCurvatureType(id, type) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config) return;
+
+        if (type === 'flat') {
+            config.curvature = 0;
+        } else {
+            if (config.curvature <= 0) config.curvature = 1500;
+        }
+        
+        this.renderList();
+        this.refresh3D(config);
+    }
+
+    updateMonitor(id, key, value) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config) return;
+
+        if (key === 'mount.pivot') {
+            config.mount = { ...config.mount, pivot: !!value };
+            this.refresh3D(config);
+            return;
+        }
+
+        const parsed = parseFloat(value);
+        const length = this.toMm(value);
+
+        if (key === 'inches') {
+            config[key] = clampOr(parsed, 27, 1);
+        } else if (key === 'ratioW') {
+            config[key] = clampOr(parsed, 16, 0.1);
+        } else if (key === 'ratioH') {
+            config[key] = clampOr(parsed, 9, 0.1);
+        } else if (key.startsWith('resolution.')) {
+            const { resolution } = MonitorFactory.dimensions(config);
+            const axis = key.slice(11);
+            config.resolution = { ...resolution, [axis]: Math.max(1, Math.round(parsed)) || resolution[axis] };
+        } else if (key.startsWith('bezel.')) {
+            config.bezel = { ...config.bezel, [key.slice(6)]: clampOr(length, 0, 0, 200) };
+        } else if (key === 'housingDepth') {
+            config[key] = clampOr(length, 20, 1, 500);
+        } else if (key.startsWith('mount.')) {
+            const field = key.slice(6);
+            const isLength = App.MOUNT_LENGTHS.includes(field);
+            const isSize = isLength && field !== 'clampX'; // 클램프 X는 책상 중심 기준이라 음수 가능
+            const fallback = MOUNT_DEFAULTS[config.mount.type][field];
+            const input = isLength ? length : parsed;
+            let next = isSize ? Math.max(0, input || 0) : (Number.isFinite(input) ? input : fallback);
+            // 최소/최대가 뒤집히지 않도록 짝의 값에서 멈춤
+            const pair = MOUNT_LIMIT_PAIRS.find(keys => keys.includes(field));
+            if (pair) {
+                const [minKey, maxKey] = pair;
+                next = field === minKey ? Math.min(next, config.mount[maxKey]) : Math.max(next, config.mount[minKey]);
+            }
+            config.mount = { ...config.mount, [field]: next };
+            if (next !== (isLength ? input : parsed)) this.renderList(); // 보정된 값을 입력란에 반영
+        } else {
+            config[key] = parsed;
+        }
+
+        // 슬라이더 드래그처럼 연속된 변경은 하나의 기록으로 합침
+        this.refresh3D(config, `${id}-${key}`);
+    }
+
+    setMountType(id, type) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config) return;
+
+        config.mount = MOUNT_DEFAULTS[type] ? { ...MOUNT_DEFAULTS[type] } : null;
+        this.renderList();
+        this.refresh3D(config);
+
+        // 새 마운트가 닿을 수 있는 위치로 이동
+        const monitor = this.sceneManager.monitors.find(m => m.userData.id === id);
+        if (monitor && config.mount) {
+            this.sceneManager.constrainToMount(monitor, true);
+            this.sceneManager.updateMount(monitor);
+            this.onLayoutChanged();
+        }
+    }
+
+    onMonitorTransforming(id, issues) {
+        this.updateViewerAnalysis();
+        this.updateCollisions();
+        this.updateTransformFields();
+        if (!this.interactionHintEl) return;
+        if (issues.length === 0) {
+            this.interactionHintEl.classList.remove('warning');
+            this.showInteractionHint();
+            return;
+        }
+
+        const t = this.translations[this.currentLang];
+        this.interactionHintEl.textContent = `⚠ ${t.mountLimited}: ${issues.map(key => t[`mountIssue_${key}`]).join(', ')}`;
+        this.interactionHintEl.classList.add('warning');
+        this.interactionHintEl.style.opacity = '1';
+    }
+
+    updateMountWarnings() {
+        const t = this.translations[this.currentLang];
+        this.monitorList.forEach(config => {
+            const el = document.getElementById(`mount-warn-${config.id}`);
+            const monitor = this.sceneManager.monitors.find(m => m.userData.id === config.id);
+            if (!el || !monitor) return;
+
+            const issues = this.sceneManager.constrainToMount(monitor, false);
+            el.textContent = issues.length > 0
+                ? `⚠ ${t.mountUnreachable}: ${issues.map(key => t[`mountIssue_${key}`]).join(', ')}`
+                : '';
+            el.style.display = issues.length > 0 ? 'block' : 'none';
+        });
+    }
+
+    swapRatio(id) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config) return;
+
+        this.swapConfigRatio(config);
+
+        this.renderList();
+        this.refresh3D(config);
+    }
+
+    // 평면 모니터의 가로/세로 전환. 해상도도 화면 방향을 따라감
+    swapConfigRatio(config) {
+        const { resolution } = MonitorFactory.dimensions(config);
+        [config.ratioW, config.ratioH] = [config.ratioH, config.ratioW];
+        config.resolution = { w: resolution.h, h: resolution.w };
+    }
+    
+    rotateMonitor(id) {
+        const config = this.monitorList.find(m => m.id === id);
+        if (!config) return;
+        
+        config.isPortrait = !config.isPortrait;
+        
+        this.renderList(); 
+        this.refresh3D(config);
+    }
+
+    refresh3D(config, historyKey = null) {
+        this.sceneManager.addOrUpdateMonitor(config, this.sceneManager.captureMonitorState(config.id));
+        this.validateMonitor(config.id);
+
+        const dimsEl = document.getElementById(`dims-${config.id}`);
+        if (dimsEl) dimsEl.textContent = this.formatDimensions(config);
+        const densityEl = document.getElementById(`density-${config.id}`);
+        if (densityEl) densityEl.textContent = this.formatDensity(config);
+        this.onLayoutChanged(historyKey);
+    }
+
+    validateMonitor(id) {
+        const monitor = this.sceneManager.monitors.find(m => m.userData.id === id);
+        const config = this.monitorList.find(m => m.id === id);
+        
+        if (!config) return;
+
+        const isValid = monitor && Number.isFinite(monitor.position.x) && Number.isFinite(monitor.position.y) && Number.isFinite(monitor.position.z);
+
+        if (!isValid) {
+            console.warn(`Monitor ${id} rendering issue detected. Resetting.`);
+            this.sceneManager.addOrUpdateMonitor(config, null); 
+        }
+    }
+
+    moveItem(index, direction) {
+        if (index + direction < 0 || index + direction >= this.monitorList.length) return;
+        const temp = this.monitorList[index];
+        this.monitorList[index] = this.monitorList[index + direction];
+        this.monitorList[index + direction] = temp;
+        this.renderList();
+        this.onLayoutChanged();
+    }
+
+    removeMonitor(id) {
+        this.removeMonitors([id]);
+    }
+
+    removeMonitors(ids) {
+        this.monitorList = this.monitorList.filter(m => !ids.includes(m.id));
+        ids.forEach(id => {
+            this.sceneManager.removeMonitorMesh(id);
+            this.sceneManager.releaseScreenContent(id);
+        });
+        // 지운 모니터에 붙어 있던 측정은 함께 삭제
+        this.measurements = this.measurements.filter(({ a, b }) => !ids.includes(a.monitorId) && !ids.includes(b.monitorId));
+        this.normalizeGroups();
+        this.renderList();
+        this.onLayoutChanged();
+    }
+
+    // --- Selection / Groups ---
+
+    selectFromList(id, event) {
+        const sm = this.sceneManager;
+        const monitor = sm.findObject(id);
+        if (!monitor || monitor.userData.locked) return;
+
+        if (event && event.shiftKey) {
+            sm.toggleSelection(monitor);
+        } else {
+            sm.setSelection(sm.getGroupIds(monitor), id);
+        }
+        this.showInteractionHint();
+    }
+
+    onSelectionChanged() {
+        const selected = this.sceneManager.selectedIds;
+        document.querySelectorAll('.monitor-item').forEach(item => {
+            item.classList.toggle('selected', selected.has(Number(item.dataset.id)));
+        });
+
+        const t = this.translations[this.currentLang];
+        const info = document.getElementById('selection-info');
+        if (info) info.textContent = selected.size > 1 ? `${selected.size} ${t.selectedCount}` : t.selectionHint;
+
+        const configs = this.monitorList.filter(config => selected.has(config.id));
+        const groupBtn = document.getElementById('group-btn');
+        const ungroupBtn = document.getElementById('ungroup-btn');
+        if (groupBtn) groupBtn.disabled = configs.length < 2;
+        if (ungroupBtn) ungroupBtn.disabled = !configs.some(config => config.group);
+    }
+
+    groupSelection() {
+        const configs = this.monitorList.filter(config => this.sceneManager.selectedIds.has(config.id));
+        if (configs.length < 2) return;
+
+        const group = this.monitorList.reduce((max, config) => Math.max(max, config.group || 0), 0) + 1;
+        configs.forEach(config => { config.group = group; });
+        this.normalizeGroups();
+        this.renderList();
+        this.onLayoutChanged();
+    }
+
+    ungroupSelection() {
+        const configs = this.monitorList.filter(config => this.sceneManager.selectedIds.has(config.id));
+        if (!configs.some(config => config.group)) return;
+
+        configs.forEach(config => { config.group = null; });
+        this.normalizeGroups();
+        this.renderList();
+        this.onLayoutChanged();
+    }
+
+    // 1대만 남은 그룹은 해제하고 3D 객체에 반영
+    normalizeGroups() {
+        const counts = new Map();
+        this.monitorList.forEach(config => {
+            if (config.group) counts.set(config.group, (counts.get(config.group) || 0) + 1);
+        });
+        this.monitorList.forEach(config => {
+            if (config.group && counts.get(config.group) < 2) config.group = null;
+            const monitor = this.sceneManager.monitors.find(m => m.userData.id === config.id);
+            if (monitor) monitor.userData.group = config.group ?? null;
+        });
+    }
+
+    // --- Auto arrange ---
+
+    arrange() {
+        const t = this.translations[this.currentLang];
+        const template = document.getElementById('arrange-template').value;
+        const gap = Math.max(0, this.lengthValue('arrange-gap') || 0);
+        const radius = Math.max(1, this.lengthValue('arrange-radius') || 700);
+        const warningEl = document.getElementById('arrange-warning');
+        const targets = this.monitorList.filter(config => !config.locked);
+
+        if (targets.length === 0) {
+            warningEl.textContent = t.arrangeNothing;
+            warningEl.style.display = 'block';
+            return;
+        }
+
+        // 중앙 가로 + 양옆 세로: 방향이 다른 모니터는 회전 (평면은 비율 교환, 곡면은 피벗)
+        if (template === 'wings') {
+            targets.forEach((config, index) => {
+                const wantPortrait = index > 0;
+                const isCurved = config.curvature > 0;
+                const isPortrait = isCurved ? config.isPortrait : config.ratioW < config.ratioH;
+                if (isPortrait === wantPortrait) return;
+
+                if (isCurved) {
+                    config.isPortrait = wantPortrait;
+                } else {
+                    this.swapConfigRatio(config);
+                }
+                this.sceneManager.addOrUpdateMonitor(config, this.sceneManager.captureMonitorState(config.id));
+            });
+            this.renderList();
+        }
+
+        const fits = this.sceneManager.arrangeMonitors(targets.map(config => config.id), template, {
+            gap,
+            radius,
+            eye: this.getEyePosition()
+        });
+        this.sceneManager.clearSelection();
+        this.hideInteractionHint();
+
+        warningEl.textContent = fits ? '' : t.arrangeTooLarge;
+        warningEl.style.display = fits ? 'none' : 'block';
+        this.onLayoutChanged();
+    }
+
+    // --- Alignment ---
+
+    // 정렬 대상: 2대 이상 선택했으면 선택된 모니터, 아니면 잠기지 않은 모든 모니터 (목록 순서)
+    getSelectionIds() {
+        const selected = this.sceneManager.selectedIds;
+        return this.monitorList
+            .filter(config => !config.locked && (selected.size < 2 || selected.has(config.id)))
+            .map(config => config.id);
+    }
+
+    alignSelection(mode) {
+        const sm = this.sceneManager;
+        const referenceId = sm.primaryId ?? (sm.selectedIds.size === 1 ? [...sm.selectedIds][0] : null);
+        sm.alignMonitors(this.getSelectionIds(), mode, referenceId);
+        sm.attachSelection(); // 다중 선택 기즈모를 새 중심으로
+        this.onLayoutChanged();
+    }
+
+    // 책상 중심선(x = 0) 기준 좌우 반전. 마운트 위치/각도도 함께 반전
+    mirrorSelection() {
+        this.getSelectionIds().forEach(id => {
+            const config = this.monitorList.find(m => m.id === id);
+            const pose = this.sceneManager.getMonitorPose(id);
+            if (!config || !pose) return;
+
+            if (config.mount?.type === 'stand') {
+                config.mount = { ...config.mount, baseYaw: -config.mount.baseYaw };
+            } else if (config.mount?.type === 'arm') {
+                config.mount = { ...config.mount, clampX: -config.mount.clampX };
+            }
+            this.sceneManager.addOrUpdateMonitor(config, null);
+            this.sceneManager.setMonitorPose(id, { ...pose, x: -pose.x, yaw: -pose.yaw, roll: -pose.roll });
+        });
+        this.sceneManager.clearSelection();
+        this.hideInteractionHint();
+        this.renderList();
+        this.onLayoutChanged();
+    }
+
+    updateArrangeControls() {
+        const template = document.getElementById('arrange-template').value;
+        document.getElementById('arrange-radius-group').style.display = template === 'arc' || template === 'wings' ? '' : 'none';
+    }
+
+    // --- Layout 저장/불러오기 ---
+
+    serializeLayout() {
+        return {
+            version: LayoutSchema.VERSION,
+            desk: this.readDesk(),
+            walls: this.readWalls(),
+            snap: {
+                move: {
+                    enabled: document.getElementById('snap-move-check').checked,
+                    value: this.lengthValue('snap-move-range')
+                },
+                rotate: {
+                    enabled: document.getElementById('snap-rotate-check').checked,
+                    value: parseFloat(document.getElementById('snap-rotate-range').value)
+                },
+                magnet: {
+                    enabled: document.getElementById('snap-magnet-check').checked,
+                    value: this.lengthValue('snap-magnet-range')
+                }
+            },
+            language: this.currentLang,
+            collision: { blockOverlap: this.sceneManager.blockOverlap },
+            viewer: { ...this.viewer },
+            monitors: this.monitorList.map(config => ({
+                ...config,
+                transform: this.sceneManager.getMonitorTransform(config.id)
+            })),
+            measurements: this.measurements.map(({ a, b }) => ({ a: { ...a }, b: { ...b } })),
+            peripherals: this.peripheralList.map(config => ({
+                ...config,
+                size: { ...config.size },
+                transform: this.sceneManager.getMonitorTransform(config.id)
+            })),
+            camera: {
+                povFov: this.povFov,
+                bookmarks: this.cameraBookmarks.map(b => ({ ...b, position: { ...b.position }, target: { ...b.target } }))
+            }
+        };
+    }
+
+    applyLayout(data) {
+        this.isApplyingLayout = true;
+        try {
+            const { desk, walls, snap, language, collision, viewer, monitors, measurements, peripherals, camera } = data;
+
+            if (desk) {
+                Object.entries(App.DESK_INPUTS).forEach(([key, id]) => {
+                    const el = document.getElementById(id);
+                    if (el.hasAttribute('data-length')) this.setLength(el, desk[key]);
+                    else el.value = desk[key];
+                });
+                this.deskPolygon = desk.polygon.map(p => ({ ...p }));
+            }
+            if (walls) {
+                this.setLength(document.getElementById('wall-height'), walls.height);
+                ['back', 'left', 'right'].forEach(side => {
+                    document.getElementById(`wall-${side}-check`).checked = walls[side].enabled;
+                    this.setLength(document.getElementById(`wall-${side}-distance`), walls[side].distance);
+                });
+            }
+            if (desk || walls) this.updateDesk();
+
+            if (snap) {
+                const applySnap = (checkId, rangeId, { enabled, value }) => {
+                    const check = document.getElementById(checkId);
+                    const range = document.getElementById(rangeId);
+                    if (range.hasAttribute('data-length')) this.setLength(range, value);
+                    else range.value = value;
+                    check.checked = enabled;
+                    check.dispatchEvent(new Event('change'));
+                };
+                applySnap('snap-move-check', 'snap-move-range', snap.move);
+                applySnap('snap-rotate-check', 'snap-rotate-range', snap.rotate);
+                applySnap('snap-magnet-check', 'snap-magnet-range', snap.magnet);
+            }
+
+            if (collision) {
+                this.sceneManager.blockOverlap = collision.blockOverlap;
+                document.getElementById('block-overlap-check').checked = collision.blockOverlap;
+            }
+
+            if (viewer) {
+                this.viewer = { ...viewer };
+                this.setLength(document.getElementById('eye-height'), viewer.eyeHeight);
+                this.setLength(document.getElementById('eye-distance'), viewer.distance);
+                this.setLength(document.getElementById('eye-offset'), viewer.offsetX);
+            }
+
+            if (camera) {
+                this.povFov = camera.povFov;
+                document.getElementById('pov-fov').value = camera.povFov;
+                this.cameraBookmarks = camera.bookmarks.map(b => ({ ...b, position: { ...b.position }, target: { ...b.target } }));
+            }
+
+            if (language && this.translations[language]) {
+                this.currentLang = language;
+                document.getElementById('language-select').value = language;
+            }
+
+            this.sceneManager.clearMonitors();
+            this.monitorList = (monitors || []).map(({ transform, ...config }) => config);
+
+            (monitors || []).forEach(({ transform, ...config }) => {
+                const target = this.monitorList.find(m => m.id === config.id);
+                this.sceneManager.addOrUpdateMonitor(target, null);
+                this.sceneManager.setMonitorTransform(config.id, transform);
+            });
+
+            this.sceneManager.clearPeripherals();
+            this.peripheralList = (peripherals || []).map(({ transform, ...config }) => ({ ...config, size: { ...config.size } }));
+            (peripherals || []).forEach(({ transform }, i) => {
+                this.sceneManager.addOrUpdatePeripheral(this.peripheralList[i], null);
+                this.sceneManager.setMonitorTransform(this.peripheralList[i].id, transform);
+            });
+            this.idCounter = [...this.monitorList, ...this.peripheralList].reduce((max, m) => Math.max(max, m.id), 0);
+            this.measurements = (measurements || []).map(({ a, b }) => ({ a: { ...a }, b: { ...b } }));
+            this.sceneManager.clearSelection();
+            this.hideInteractionHint();
+
+            this.updateLanguage();
+            this.updateViewerAnalysis();
+            this.updateCollisions();
+        } finally {
+            this.isApplyingLayout = false;
+        }
+    }
+
+    loadInitialLayout() {
+        // 공유 링크가 있으면 자동 저장본보다 우선
+        if (ShareLink.read(window.location.hash)) {
+            this.loadSharedLayout().then(loaded => {
+                if (!loaded) this.restoreAutosave();
+            });
+            return;
+        }
+        this.restoreAutosave();
+    }
+
+    restoreAutosave() {
+        const autosave = LayoutStore.loadAutosave();
+        if (autosave) {
+            try {
+                this.activeLayoutId = autosave.activeLayoutId ?? null;
+                this.applyLayout(LayoutSchema.parse(autosave.data).data);
+                this.renderLayoutList();
+                this.history.reset(this.captureHistoryState());
+                this.updateHistoryButtons();
+                return;
+            } catch (err) {
+                console.warn('Failed to restore autosaved layout.', err);
+            }
+        }
+        this.addMonitor();
+        this.renderLayoutList();
+        this.history.reset(this.captureHistoryState());
+        this.updateHistoryButtons();
+    }
+
+    async loadSharedLayout() {
+        const encoded = ShareLink.read(window.location.hash);
+        // 해시를 지워 이후 편집이 새로고침 시 덮어써지지 않도록 함
+        window.history.replaceState({}, '', `${window.location.pathname}${window.location.search}`);
+
+        let parsed;
+        try {
+            parsed = LayoutSchema.parse(await ShareLink.decode(encoded));
+        } catch (err) {
+            this.showLayoutReport(this.translations[this.currentLang].sharedLinkFailed, [err.message], true);
+            return false;
+        }
+
+        const backup = this.backupBeforeSharedLink();
+
+        this.activeLayoutId = null;
+        this.applyLayout(parsed.data);
+        this.renderLayoutList();
+        this.onLayoutChanged();
+
+        // 공유 레이아웃의 언어가 적용된 뒤에 안내
+        const t = this.translations[this.currentLang];
+        const notes = backup ? [t.previousLayoutSaved.replace('{name}', backup.name)] : [];
+        if (parsed.issues.length > 0) {
+            this.showLayoutReport(t.importIssues, [...notes, ...parsed.issues], false);
+        } else if (notes.length > 0) {
+            this.showLayoutReport(t.sharedLinkOpened, notes, false);
+        }
+        return true;
+    }
+
+    backupBeforeSharedLink() {
+        // 공유 링크가 자동 저장본을 덮어쓰기 전에 현재 작업을 저장된 레이아웃으로 보관
+        // (첫 로드 시에는 아직 장면이 비어 있으므로 자동 저장본을 사용)
+        const hasScene = this.monitorList.length > 0 || this.peripheralList.length > 0;
+        const previous = hasScene ? this.serializeLayout() : LayoutStore.loadAutosave()?.data;
+        const isEmpty = data => !data || ((data.monitors?.length ?? 0) === 0 && (data.peripherals?.length ?? 0) === 0);
+        if (isEmpty(previous)) return null;
+
+        const t = this.translations[this.currentLang];
+        return LayoutStore.save(`${t.beforeSharedLink} (${new Date().toLocaleString(this.currentLang)})`, previous);
+    }
+
+    async copyShareLink() {
+        const t = this.translations[this.currentLang];
+        const encoded = await ShareLink.encode(this.serializeLayout());
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${ShareLink.HASH_KEY}=${encoded}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (err) {
+            // 클립보드 권한이 없으면 직접 복사하도록 표시
+            window.prompt(t.copyLinkPrompt, url);
+            return;
+        }
+
+        const btn = document.getElementById('copy-link-btn');
+        btn.textContent = t.linkCopied;
+        setTimeout(() => {
+            btn.textContent = this.translations[this.currentLang].copyLink;
+        }, 1500);
+    }
+
+    onLayoutChanged(historyKey = null) {
+        if (this.isApplyingLayout) return;
+
+        this.history.commit(this.captureHistoryState(), historyKey);
+        this.updateHistoryButtons();
+        this.updateMountWarnings();
+        this.updateTransformFields();
+        this.updateViewerAnalysis();
+        this.updateCollisions();
+        this.scheduleAutosave();
+    }
+
+    scheduleAutosave() {
+        // 연속 입력 시 마지막 변경 후 한 번만 저장
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            LayoutStore.saveAutosave({
+                activeLayoutId: this.activeLayoutId,
+                data: this.serializeLayout()
+            });
+        }, 500);
+    }
+
+    // --- Undo / Redo ---
+
+    // 스냅/언어 같은 환경 설정은 제외하고 데스크, 모니터, 측정만 기록
+    captureHistoryState() {
+        const { desk, walls, viewer, monitors, measurements, peripherals } = this.serializeLayout();
+        return { desk, walls, viewer, monitors, measurements, peripherals };
+    }
+
+    undo() {
+        const state = this.history.undo();
+        if (state) this.restoreHistoryState(state);
+    }
+
+    redo() {
+        const state = this.history.redo();
+        if (state) this.restoreHistoryState(state);
+    }
+
+    restoreHistoryState(state) {
+        this.applyLayout(state);
+        this.updateHistoryButtons();
+        this.scheduleAutosave();
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo();
+    }
+
+    saveLayout() {
+        const t = this.translations[this.currentLang];
+        const input = document.getElementById('layout-name');
+        const name = input.value.trim();
+        if (!name) {
+            input.focus();
+            return;
+        }
+
+        const existing = LayoutStore.list().find(l => l.name === name);
+        if (existing && !window.confirm(t.overwriteLayoutConfirm)) return;
+
+        const layout = LayoutStore.save(name, this.serializeLayout(), existing ? existing.id : null);
+        this.activeLayoutId = layout.id;
+        input.value = '';
+        this.renderLayoutList();
+        this.onLayoutChanged();
+    }
+
+    loadLayout(id) {
+        const layout = LayoutStore.get(id);
+        if (!layout) return;
+
+        let parsed;
+        try {
+            parsed = LayoutSchema.parse(layout.data);
+        } catch (err) {
+            this.showLayoutReport(this.translations[this.currentLang].importFailed, [err.message], true);
+            return;
+        }
+
+        this.activeLayoutId = id;
+        this.applyLayout(parsed.data);
+        this.renderLayoutList();
+        this.onLayoutChanged();
+    }
+
+    renameLayout(id) {
+        const t = this.translations[this.currentLang];
+        const layout = LayoutStore.get(id);
+        if (!layout) return;
+
+        const name = window.prompt(t.renamePrompt, layout.name);
+        if (!name || !name.trim()) return;
+
+        LayoutStore.rename(id, name.trim());
+        this.renderLayoutList();
+    }
+
+    duplicateLayout(id) {
+        const t = this.translations[this.currentLang];
+        const layout = LayoutStore.get(id);
+        if (!layout) return;
+
+        LayoutStore.save(`${layout.name} (${t.copySuffix})`, layout.data);
+        this.renderLayoutList();
+    }
+
+    deleteLayout(id) {
+        const t = this.translations[this.currentLang];
+        if (!window.confirm(t.deleteLayoutConfirm)) return;
+
+        LayoutStore.remove(id);
+        if (this.activeLayoutId === id) {
+            this.activeLayoutId = null;
+            this.onLayoutChanged();
+        }
+        this.renderLayoutList();
+    }
+
+    // 내보내기 파일 이름: 현재 레이아웃 이름 (파일명에 쓸 수 없는 문자 제외)
+    exportFileBase() {
+        const layout = this.activeLayoutId ? LayoutStore.get(this.activeLayoutId) : null;
+        return (layout ? layout.name : 'layout').replace(/[\\/:*?"<>|]+/g, '_');
+    }
+
+    exportLayout() {
+        const json = JSON.stringify(LayoutSchema.toFile(this.serializeLayout()), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `${this.exportFileBase()}.json`);
+    }
+
+    // 물리 배치를 OS 디스플레이 설정으로 내보내기
+    exportDisplays() {
+        const format = document.getElementById('display-export-format').value;
+        const eye = this.getEyePosition();
+        const monitors = this.monitorList
+            .map(config => this.sceneManager.monitors.find(m => m.userData.id === config.id))
+            .filter(Boolean);
+        if (monitors.length === 0) return;
+
+        const descriptions = monitors.map(m => DisplayArrangement.describe(m, eye));
+        const names = new Map(this.monitorList.map(config => [config.id, config.name]));
+        const scaled = () => DisplayArrangement.arrange(descriptions, true);
+        const unscaled = () => DisplayArrangement.arrange(descriptions, false);
+        const base = this.exportFileBase();
+
+        if (format === 'xrandr') {
+            downloadBlob(new Blob([DisplayArrangement.toXrandr(unscaled(), names)], { type: 'text/x-shellscript' }), `${base}-xrandr.sh`);
+        } else if (format === 'sway') {
+            downloadBlob(new Blob([DisplayArrangement.toSway(scaled(), names)], { type: 'text/plain' }), `${base}-sway.conf`);
+        } else if (format === 'hyprland') {
+            downloadBlob(new Blob([DisplayArrangement.toHyprland(scaled(), names)], { type: 'text/plain' }), `${base}-hyprland.conf`);
+        } else {
+            const json = JSON.stringify(DisplayArrangement.toJson(scaled(), unscaled(), names), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), `${base}-displays.json`);
+        }
+    }
+
+    // --- 평면도 ---
+
+    togglePlanMode() {
+        const enabled = !this.sceneManager.planMode;
+        this.sceneManager.setPlanMode(enabled);
+        document.getElementById('plan-mode-btn').classList.toggle('active', enabled);
+    }
+
+    buildPlan() {
+        const names = new Map(this.monitorList.map(config => [config.id, config.name]));
+        return FloorPlan.build(this.sceneManager.deskSize, this.sceneManager.walls, this.sceneManager.monitors, this.sceneManager.mounts, names);
+    }
+
+    // 평면도 모드 오버레이 (SceneManager가 확대 배율이 바뀔 때 호출)
+    renderPlan(unit) {
+        return FloorPlan.render(this.buildPlan(), unit, { overlay: true, format: this.planFormat() }).content;
+    }
+
+    // 평면도 치수 값. 실척 SVG와 화면 오버레이에는 따로 단위 표시가 없으므로 값마다 단위를 붙임
+    planFormat() {
+        return v => Units.format(v, this.lengthUnit);
+    }
+
+    exportPlan() {
+        const paper = document.getElementById('plan-export-format').value;
+        const plan = this.buildPlan();
+        const base = this.exportFileBase();
+
+        if (paper === 'full') {
+            downloadBlob(new Blob([FloorPlan.toSvg(plan, this.planFormat())], { type: 'image/svg+xml' }), `${base}-plan.svg`);
+        } else {
+            const svg = FloorPlan.toPrintSvg(plan, paper, base, this.planFormat(), Units.get(this.lengthUnit).label);
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${base}-plan-${paper}.svg`);
+        }
+    }
+
+    // 책상/모니터/주변기기를 Blender 등에서 열 수 있는 3D 모델로
+    async exportModel() {
+        const format = document.getElementById('model-export-format').value;
+        const names = new Map([...this.monitorList, ...this.peripheralList].map(config => [config.id, config.name]));
+        const root = SceneExport.build(this.sceneManager, names);
+        const base = this.exportFileBase();
+
+        try {
+            if (format === 'obj') {
+                downloadBlob(await SceneExport.toObjArchive(root, base, this.lengthUnit), `${base}-obj.zip`);
+            } else {
+                downloadBlob(await SceneExport.toGltf(root, format === 'glb'), `${base}.${format}`);
+            }
+        } catch (err) {
+            this.showLayoutReport(this.translations[this.currentLang].modelExportFailed, [err.message], true);
+        }
+    }
+
+    // --- 이미지 내보내기 ---
+
+    readImageExportOptions() {
+        const preset = document.getElementById('image-resolution').value;
+        const [width, height] = preset === 'custom'
+            ? ['image-width', 'image-height'].map(id => Math.round(parseFloat(document.getElementById(id).value)))
+            : ImageExport.RESOLUTIONS[preset];
+        return {
+            width,
+            height,
+            transparent: document.getElementById('image-transparent-check').checked,
+            hideGizmo: document.getElementById('image-hide-gizmo-check').checked,
+            labels: document.getElementById('image-labels-check').checked
+        };
+    }
+
+    setImageExportStatus(text, isError = false) {
+        const status = document.getElementById('image-export-status');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // 현재 시점 PNG 한 장, 또는 turntable = true면 책상 주위를 한 바퀴 도는 PNG 묶음(ZIP)
+    async exportImage(turntable = false) {
+        if (this.isExportingImage) return;
+        const t = this.translations[this.currentLang];
+        const options = this.readImageExportOptions();
+        const { MIN_SIZE, MAX_SIZE, MAX_FRAMES } = ImageExport;
+        const validSize = [options.width, options.height].every(v => v >= MIN_SIZE && v <= MAX_SIZE);
+        if (!validSize) {
+            this.setImageExportStatus(`${t.imageSizeInvalid} (${MIN_SIZE} ~ ${MAX_SIZE}px)`, true);
+            return;
+        }
+
+        let views = null;
+        if (turntable) {
+            const frames = Math.round(parseFloat(document.getElementById('turntable-frames').value));
+            if (!(frames >= 2 && frames <= MAX_FRAMES)) {
+                this.setImageExportStatus(`${t.turntableFramesInvalid} (2 ~ ${MAX_FRAMES})`, true);
+                return;
+            }
+            views = ImageExport.orbitViews(this.sceneManager.getCameraView(), frames);
+        }
+
+        const buttons = ['export-image-btn', 'export-turntable-btn'].map(id => document.getElementById(id));
+        this.isExportingImage = true;
+        buttons.forEach(btn => { btn.disabled = true; });
+        try {
+            const blobs = await this.sceneManager.renderImages({
+                ...options,
+                views,
+                onFrame: (i, total) => this.setImageExportStatus(total > 1 ? `${t.rendering} ${i + 1} / ${total}` : t.rendering)
+            });
+            const base = `${this.exportFileBase()}-${options.width}x${options.height}`;
+            if (turntable) {
+                const digits = String(blobs.length).length;
+                const files = await Promise.all(blobs.map(async (blob, i) => ({
+                    name: `${base}-${String(i + 1).padStart(digits, '0')}.png`,
+                    bytes: new Uint8Array(await blob.arrayBuffer())
+                })));
+                downloadBlob(ImageExport.zip(files), `${base}-turntable.zip`);
+            } else {
+                downloadBlob(blobs[0], `${base}.png`);
+            }
+            this.setImageExportStatus('');
+        } catch (err) {
+            this.setImageExportStatus(`${t.imageExportFailed}: ${err.message}`, true);
+        } finally {
+            this.isExportingImage = false;
+            buttons.forEach(btn => { btn.disabled = false; });
+        }
+    }
+
+    async importLayout(file) {
+        let parsed;
+        try {
+            parsed = LayoutSchema.parse(JSON.parse(await file.text()));
+        } catch (err) {
+            this.showLayoutReport(this.translations[this.currentLang].importFailed, [err.message], true);
+            return;
+        }
+
+        this.activeLayoutId = null;
+        this.applyLayout(parsed.data);
+        this.renderLayoutList();
+        this.onLayoutChanged();
+
+        if (parsed.issues.length > 0) {
+            // 가져온 파일의 언어가 적용된 뒤의 문구 사용
+            this.showLayoutReport(this.translations[this.currentLang].importIssues, parsed.issues, false);
+        } else {
+            this.showLayoutReport(null, []);
+        }
+    }
+
+    showLayoutReport(title, lines, isError = false) {
+        const el = document.getElementById('layout-report');
+        if (!el) return;
+
+        if (!title) {
+            el.style.display = 'none';
+            el.innerHTML = '';
+            return;
+        }
+
+        el.className = isError ? 'layout-report error' : 'layout-report';
+        el.style.display = 'block';
+        el.innerHTML = `
+            <div class="layout-report-header">
+                <span>${escapeHtml(title)}</span>
+                <button class="btn-swap" onclick="window.appInstance.showLayoutReport(null, [])">✕</button>
+            </div>
+            <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+        `;
+    }
+
+    renderLayoutList() {
+        const listEl = document.getElementById('layout-list');
+        if (!listEl) return;
+        const t = this.translations[this.currentLang];
+        const layouts = LayoutStore.list();
+
+        document.getElementById('layout-name').placeholder = t.layoutNamePlaceholder;
+
+        if (layouts.length === 0) {
+            listEl.innerHTML = `<div class="layout-empty">${t.noSavedLayouts}</div>`;
+            return;
+        }
+
+        listEl.innerHTML = layouts.map(layout => `
+            <div class="layout-item ${layout.id === this.activeLayoutId ? 'active' : ''}">
+                <div class="layout-info" onclick="window.loadLayout('${layout.id}')" title="${t.load}">
+                    <span class="layout-name">${escapeHtml(layout.name)}</span>
+                    <span class="layout-date">${new Date(layout.updatedAt).toLocaleString(this.currentLang)}</span>
+                </div>
+                <div class="order-controls">
+                    <button class="btn-icon" onclick="window.renameLayout('${layout.id}')" title="${t.rename}">✎</button>
+                    <button class="btn-icon" onclick="window.duplicateLayout('${layout.id}')" title="${t.duplicate}">⧉</button>
+                    <button class="btn-danger" onclick="window.deleteLayout('${layout.id}')" title="${t.remove}">X</button>
+                </div>
+            </div>
+        `).join('');
+    }
+}
+
+// ==========================================
+// 4. LayoutStore: localStorage persistence
+// ==========================================
+class LayoutStore {
+    static LAYOUTS_KEY = 'mmp.layouts';
+    static AUTOSAVE_KEY = 'mmp.autosave';
+    static PREFERENCES_KEY = 'mmp.preferences'; // 레이아웃과 무관한 사용자 설정 (길이 단위 등)
+
+    static read(key, fallback) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (err) {
+            console.warn(`Failed to read "${key}" from localStorage.`, err);
+            return fallback;
+        }
+    }
+
+    static write(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            // 용량 초과 또는 비공개 모드 등
+            console.warn(`Failed to write "${key}" to localStorage.`, err);
+        }
+    }
+
+    static list() {
+        const layouts = this.read(this.LAYOUTS_KEY, []);
+        return Array.isArray(layouts) ? layouts.sort((a, b) => b.updatedAt - a.updatedAt) : [];
+    }
+
+    static get(id) {
+        return this.list().find(l => l.id === id) || null;
+    }
+
+    static save(name, data, id = null) {
+        const layouts = this.list();
+        const now = Date.now();
+        let layout = id ? layouts.find(l => l.id === id) : null;
+
+        if (layout) {
+            layout.name = name;
+            layout.data = data;
+            layout.updatedAt = now;
+        } else {
+            layout = {
+                id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                name,
+                data,
+                createdAt: now,
+                updatedAt: now
+            };
+            layouts.push(layout);
+        }
+
+        this.write(this.LAYOUTS_KEY, layouts);
+        return layout;
+    }
+
+    static rename(id, name) {
+        const layouts = this.list();
+        const layout = layouts.find(l => l.id === id);
+        if (!layout) return;
+
+        layout.name = name;
+        layout.updatedAt = Date.now();
+        this.write(this.LAYOUTS_KEY, layouts);
+    }
+
+    static remove(id) {
+        this.write(this.LAYOUTS_KEY, this.list().filter(l => l.id !== id));
+    }
+
+    static loadAutosave() {
+        return this.read(this.AUTOSAVE_KEY, null);
+    }
+
+    static saveAutosave(autosave) {
+        this.write(this.AUTOSAVE_KEY, autosave);
+    }
+
+    static loadPreferences() {
+        const prefs = this.read(this.PREFERENCES_KEY, {});
+        return prefs && typeof prefs === 'object' ? prefs : {};
+    }
+
+    static savePreferences(changes) {
+        this.write(this.PREFERENCES_KEY, { ...this.loadPreferences(), ...changes });
+    }
+}
+
+// ==========================================
+// 5. LayoutSchema: Versioned layout file format
+// ==========================================
+/*
+ * Layout file (JSON). 모든 길이는 mm, 각도는 radian.
+ *
+ * {
+ *   "format": "multi-monitor-planner/layout",
+ *   "version": 13,
+ *   "exportedAt": "2026-01-01T00:00:00.000Z",      // 선택, 정보용
+ *   "desk": {
+ *     "width": 1600, "depth": 800, "color": "#ffffff",  // 주 상판 (중심 = 원점), 폭/깊이 >= 1
+ *     "shape": "rect",         // (v12) "rect" | "l" | "corner" | "custom"
+ *     "returnSide": "right",   // (v12) L자/코너형 보조 상판 방향, "left" | "right"
+ *     "returnWidth": 600,      // (v12) 보조 상판 폭(mm), >= 1
+ *     "returnLength": 1400,    // (v12) 책상 뒤 가장자리 ~ 보조 상판 앞 끝(mm), >= 1
+ *     "cornerRadius": 0,       // (v12) 모서리 반지름(mm), 0 ~ 1000
+ *     "front": "straight",     // (v12) 주 상판 앞면 "straight" | "cutout" | "curved" (custom은 무시)
+ *     "frontWidth": 700, "frontDepth": 100,  // (v12) 앞면 홈/곡선의 폭, 깊이(mm), >= 1
+ *     "polygon": [{ "x": -800, "z": -400 }, ...],  // (v12) custom 꼭짓점 (mm), 3개 이상
+ *     "height": 730,           // (v12) 바닥 ~ 상판 윗면(mm), 0 ~ 3000. 상판 윗면이 y = 0
+ *     "thickness": 30          // (v12) 상판 두께(mm), 1 ~ 200
+ *   },
+ *   "walls": {                 // (v12) 벽. distance = 책상 바깥 가장자리 ~ 벽면(mm)
+ *     "height": 2400,          // 100 ~ 10000
+ *     "back":  { "enabled": false, "distance": 0 },   // distance 0 ~ 5000
+ *     "left":  { "enabled": false, "distance": 0 },
+ *     "right": { "enabled": false, "distance": 0 }
+ *   },
+ *   "snap": {
+ *     "move":   { "enabled": false, "value": 30 },  // mm, 0 ~ 100
+ *     "rotate": { "enabled": false, "value": 30 },  // degree, 0 ~ 90
+ *     "magnet": { "enabled": true, "value": 20 }    // (v7) 주변 모니터 가장자리 자석 스냅 거리(mm), 0 ~ 100
+ *   },
+ *   "language": "ko" | "en",
+ *   "collision": { "blockOverlap": false },  // (v6) 드래그 중 겹침 차단
+ *   "viewer": {                // (v5) 앉은 사용자의 눈 위치
+ *     "eyeHeight": 480,        // 책상 상판 ~ 눈, 0 ~ 1500
+ *     "distance": 300,         // 책상 앞 가장자리 ~ 눈, -1000 ~ 2000
+ *     "offsetX": 0             // 두 눈 중심의 X (책상 중심 기준), -3000 ~ 3000
+ *   },
+ *   "monitors": [
+ *     {
+ *       "id": 1,                 // 양의 정수, 파일 내에서 고유
+ *       "name": "Monitor 1",
+ *       "inches": 27,            // 대각선, >= 1
+ *       "ratioW": 16,            // >= 0.1
+ *       "ratioH": 9,             // >= 0.1
+ *       "resolution": { "w": 2560, "h": 1440 },  // (v9) 기본 해상도(px), 1 ~ 20000, ratioW:ratioH와 같은 방향
+ *       "curvature": 0,          // 곡률 반경(mm). 0 = 평면, 0 < R < 10000
+ *       "isPortrait": false,
+ *       "locked": false,
+ *       "model": "dell-u2723qe", // 카탈로그 모델 id, 없으면 null (v2)
+ *       "bezel": { "top": 7, "bottom": 14, "left": 7, "right": 7 },  // mm, 0 ~ 200 (v3)
+ *       "housingDepth": 50,      // 본체 두께(mm), 1 ~ 500 (v3)
+ *       "group": null | 1,       // (v8) 함께 선택/이동되는 묶음 id (양의 정수)
+ *       "mount": null | {        // (v4) 각도는 degree. 최소/최대 한계가 뒤집혀 있으면 서로 바꿈
+ *         "type": "stand", "baseWidth": 250, "baseDepth": 200, "baseYaw": 0,
+ *         "minHeight": 50, "maxHeight": 180,       // 상판 ~ 본체 하단
+ *         "tiltMin": -5, "tiltMax": 20, "swivelMin": -30, "swivelMax": 30, "pivot": true
+ *       } | {
+ *         "type": "arm", "clampX": 0, "reach": 500, // 클램프는 책상 뒤 가장자리, X는 책상 중심 기준
+ *         "minHeight": 150, "maxHeight": 550,      // 상판 ~ VESA 중심
+ *         "tiltMin": -45, "tiltMax": 45, "swivelMin": -90, "swivelMax": 90, "pivot": true
+ *       },
+ *       "transform": {           // 월드 좌표. 없으면 기본 위치에 배치
+ *         "position": { "x": 0, "y": 216, "z": 0 },
+ *         "rotation": { "x": 0, "y": 0, "z": 0 }   // Euler XYZ, 세로 모드 회전 포함
+ *       }
+ *     }
+ *   ],
+ *   "measurements": [          // (v10) 두 점 사이 치수선
+ *     {
+ *       "a": { "monitorId": 1, "x": -300, "y": -170, "z": 0 },   // monitorId가 있으면 그 모니터(또는 주변기기)의 로컬 좌표
+ *       "b": { "monitorId": null, "x": -300, "y": 0, "z": 100 }  // null이면 월드 좌표 (책상 등)
+ *     }
+ *   ],
+ *   "peripherals": [           // (v13) 책상 위 물건. id는 모니터 id와도 겹치지 않음
+ *     {
+ *       "id": 3, "type": "keyboard",   // PeripheralFactory.TYPES 키: keyboard, mousepad, laptop, speaker, lamp, webcam, tower, box
+ *       "name": "Keyboard 3",
+ *       "locked": false,
+ *       "size": { "width": 440, "depth": 135, "height": 35 },  // mm, 1 ~ 5000
+ *       "open": true,            // 노트북 화면 펼침 (다른 종류는 무시)
+ *       "transform": { "position": { ... }, "rotation": { ... } }  // 모니터와 같음, 원점은 바닥면 중심
+ *     }
+ *   ],
+ *   "camera": {                // (v11) 카메라 시점
+ *     "povFov": 100,           // 앉은 시점의 수평 시야각(degree), 30 ~ 150
+ *     "bookmarks": [           // 이름 붙인 시점. fov = 수직 시야각(degree), 10 ~ 150
+ *       { "name": "View 1", "position": { "x": 0, "y": 900, "z": 1800 }, "target": { "x": 0, "y": 300, "z": 0 }, "fov": 45 }
+ *     ]
+ *   }
+ * }
+ *
+ * 스키마가 바뀌면 VERSION을 올리고, 이전 버전을 한 단계씩 올려주는 함수를
+ * MIGRATIONS[이전 버전]에 추가한다. 가져오기/저장된 레이아웃 모두 같은 경로로 변환된다.
+ */
+class LayoutSchema {
+    static FORMAT = 'multi-monitor-planner/layout';
+    static VERSION = 13;
+    static MIGRATIONS = {
+        // v2: 모니터별 카탈로그 모델 참조 추가
+        1: (data) => ({
+            ...data,
+            monitors: (data.monitors || []).map(m => ({ ...m, model: null }))
+        }),
+        // v3: 베젤/본체 두께 추가. 이전 렌더링(베젤 없음, 20mm 본체) 유지
+        2: (data) => ({
+            ...data,
+            monitors: (data.monitors || []).map(m => ({
+                ...m,
+                bezel: { top: 0, bottom: 0, left: 0, right: 0 },
+                housingDepth: 20
+            }))
+        }),
+        // v4: 스탠드/암 마운트 추가. 이전 모니터는 마운트 없음
+        3: (data) => ({
+            ...data,
+            monitors: (data.monitors || []).map(m => ({ ...m, mount: null }))
+        }),
+        // v5: 시청자 눈 위치 추가
+        4: (data) => ({ ...data, viewer: { ...VIEWER_DEFAULTS } }),
+        // v6: 겹침 차단 설정 추가
+        5: (data) => ({ ...data, collision: { blockOverlap: false } }),
+        // v7: 자석 스냅 추가. 이전 레이아웃은 꺼진 상태로 유지
+        6: (data) => ({ ...data, snap: { ...data.snap, magnet: { enabled: false, value: 20 } } }),
+        // v8: 모니터 그룹 추가
+        7: (data) => ({
+            ...data,
+            monitors: (data.monitors || []).map(m => ({ ...m, group: null }))
+        }),
+        // v9: 기본 해상도 추가. 카탈로그 모델은 카탈로그 값, 나머지는 비율로 추정
+        8: (data) => ({
+            ...data,
+            monitors: (data.monitors || []).map(m => {
+                const model = typeof m.model === 'string' ? MonitorCatalog.find(m.model) : null;
+                const ratioW = parseFloat(m.ratioW) || 16;
+                const ratioH = parseFloat(m.ratioH) || 9;
+                const resolution = model ? { ...model.resolution } : MonitorFactory.defaultResolution(ratioW, ratioH);
+                // 카탈로그 해상도는 가로 기준이므로 세로 비율이면 교환
+                const portrait = ratioW < ratioH && resolution.w > resolution.h;
+                return { ...m, resolution: portrait ? { w: resolution.h, h: resolution.w } : resolution };
+            })
+        }),
+        // v10: 측정 목록 추가
+        9: (data) => ({ ...data, measurements: [] }),
+        // v11: 앉은 시점 시야각, 카메라 북마크 추가
+        10: (data) => ({ ...data, camera: { povFov: CAMERA_DEFAULTS.povFov, bookmarks: [] } }),
+        // v12: 책상 모양/높이/두께, 벽 추가 (기존 책상은 30mm 두께 직사각형)
+        11: (data) => {
+            const { width, depth, color, ...rest } = DESK_DEFAULTS;
+            const wall = { enabled: false, distance: WALL_DEFAULTS.distance };
+            return {
+                ...data,
+                desk: { ...rest, ...data.desk },
+                walls: { height: WALL_DEFAULTS.height, back: { ...wall }, left: { ...wall }, right: { ...wall } }
+            };
+        },
+        // v13: 주변기기 목록 추가
+        12: (data) => ({ ...data, peripherals: [] })
+    };
+
+    static toFile(layout) {
+        const { version, ...rest } = layout;
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            ...rest
+        };
+    }
+
+    // 반환값: { data: 정규화된 레이아웃, issues: 보정된 필드 목록 }
+    static parse(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('File does not contain a layout object.');
+        }
+        if (raw.format !== undefined && raw.format !== this.FORMAT) {
+            throw new Error(`Unknown file format "${raw.format}".`);
+        }
+        if (!Number.isInteger(raw.version) || raw.version < 1) {
+            throw new Error('Missing or invalid "version".');
+        }
+        if (raw.version > this.VERSION) {
+            throw new Error(`Schema version ${raw.version} is newer than this planner supports (${this.VERSION}).`);
+        }
+
+        let data = JSON.parse(JSON.stringify(raw));
+        while (data.version < this.VERSION) {
+            const migrate = this.MIGRATIONS[data.version];
+            if (!migrate) throw new Error(`No migration from schema version ${data.version}.`);
+            data = migrate(data);
+            data.version += 1;
+        }
+
+        return this.validate(data);
+    }
+
+    static validateMount(mount, path, num, bool, issues) {
+        if (mount === null || mount === undefined) return null;
+
+        const defaults = MOUNT_DEFAULTS[mount?.type];
+        if (!defaults) {
+            issues.push(`${path}.type: "${mount?.type}" is not "stand" or "arm", mount removed.`);
+            return null;
+        }
+
+        const ranges = {
+            baseWidth: [0, 3000], baseDepth: [0, 3000], reach: [0, 3000],
+            minHeight: [0, 3000], maxHeight: [0, 3000], clampX: [-5000, 5000],
+            baseYaw: [-180, 180], tiltMin: [-90, 90], tiltMax: [-90, 90],
+            swivelMin: [-180, 180], swivelMax: [-180, 180]
+        };
+        const out = { type: mount.type };
+        Object.entries(defaults).forEach(([key, fallback]) => {
+            if (key === 'type') return;
+            out[key] = typeof fallback === 'boolean'
+                ? bool(mount[key], `${path}.${key}`, fallback)
+                : num(mount[key], `${path}.${key}`, fallback, ...ranges[key]);
+        });
+        MOUNT_LIMIT_PAIRS.forEach(([minKey, maxKey]) => {
+            if (out[minKey] <= out[maxKey]) return;
+            issues.push(`${path}.${minKey}: ${out[minKey]} is greater than ${maxKey} (${out[maxKey]}), values swapped.`);
+            [out[minKey], out[maxKey]] = [out[maxKey], out[minKey]];
+        });
+        return out;
+    }
+
+    static validate(data) {
+        const issues = [];
+        const num = (value, path, fallback, min = -Infinity, max = Infinity) => {
+            const parsed = typeof value === 'string' ? parseFloat(value) : value;
+            if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+                if (value !== undefined) issues.push(`${path}: "${value}" is not a number, using ${fallback}.`);
+                return fallback;
+            }
+            if (parsed < min || parsed > max) {
+                const clamped = Math.min(max, Math.max(min, parsed));
+                issues.push(`${path}: ${parsed} is out of range, using ${clamped}.`);
+                return clamped;
+            }
+            return parsed;
+        };
+        const bool = (value, path, fallback) => {
+            if (typeof value === 'boolean') return value;
+            if (value !== undefined) issues.push(`${path}: "${value}" is not true/false, using ${fallback}.`);
+            return fallback;
+        };
+        const vec3 = (value, path) => {
+            if (!value || typeof value !== 'object') return null;
+            const out = {};
+            for (const axis of ['x', 'y', 'z']) {
+                if (!Number.isFinite(value[axis])) {
+                    issues.push(`${path}.${axis}: "${value[axis]}" is not a number, transform ignored.`);
+                    return null;
+                }
+                out[axis] = value[axis];
+            }
+            return out;
+        };
+        const isPoint = (value) => !!value && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+
+        const desk = data.desk || {};
+        let color = desk.color;
+        if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+            if (color !== undefined) issues.push(`desk.color: "${color}" is not a #rrggbb color, using #ffffff.`);
+            color = '#ffffff';
+        }
+        const oneOf = (value, path, options, fallback) => {
+            if (options.includes(value)) return value;
+            if (value !== undefined) issues.push(`${path}: "${value}" is not one of ${options.join(', ')}, using ${fallback}.`);
+            return fallback;
+        };
+        let polygon = [];
+        if (Array.isArray(desk.polygon) && desk.polygon.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.z))) {
+            polygon = desk.polygon.map(p => ({ x: p.x, z: p.z }));
+        } else if (desk.polygon !== undefined) {
+            issues.push('desk.polygon: not a list of { x, z } points, polygon removed.');
+        }
+        let shape = oneOf(desk.shape, 'desk.shape', DeskShape.SHAPES, DESK_DEFAULTS.shape);
+        if (shape === 'custom' && polygon.length < 3) {
+            issues.push('desk.shape: custom desk needs at least 3 polygon points, using rect.');
+            shape = 'rect';
+        }
+        const normalizedDesk = {
+            width: num(desk.width, 'desk.width', 1600, 1),
+            depth: num(desk.depth, 'desk.depth', 800, 1),
+            color,
+            shape,
+            returnSide: oneOf(desk.returnSide, 'desk.returnSide', ['left', 'right'], DESK_DEFAULTS.returnSide),
+            returnWidth: num(desk.returnWidth, 'desk.returnWidth', DESK_DEFAULTS.returnWidth, 1),
+            returnLength: num(desk.returnLength, 'desk.returnLength', DESK_DEFAULTS.returnLength, 1),
+            cornerRadius: num(desk.cornerRadius, 'desk.cornerRadius', DESK_DEFAULTS.cornerRadius, 0, 1000),
+            front: oneOf(desk.front, 'desk.front', DeskShape.FRONTS, DESK_DEFAULTS.front),
+            frontWidth: num(desk.frontWidth, 'desk.frontWidth', DESK_DEFAULTS.frontWidth, 1),
+            frontDepth: num(desk.frontDepth, 'desk.frontDepth', DESK_DEFAULTS.frontDepth, 1),
+            polygon,
+            height: num(desk.height, 'desk.height', DESK_DEFAULTS.height, 0, 3000),
+            thickness: num(desk.thickness, 'desk.thickness', DESK_DEFAULTS.thickness, 1, 200)
+        };
+
+        const walls = data.walls || {};
+        const wall = (side) => ({
+            enabled: bool(walls[side]?.enabled, `walls.${side}.enabled`, false),
+            distance: num(walls[side]?.distance, `walls.${side}.distance`, WALL_DEFAULTS.distance, 0, 5000)
+        });
+        const normalizedWalls = {
+            height: num(walls.height, 'walls.height', WALL_DEFAULTS.height, 100, 10000),
+            back: wall('back'),
+            left: wall('left'),
+            right: wall('right')
+        };
+
+        const snap = data.snap || {};
+        const normalizedSnap = {
+            move: {
+                enabled: bool(snap.move?.enabled, 'snap.move.enabled', false),
+                value: num(snap.move?.value, 'snap.move.value', 30, 0, 100)
+            },
+            rotate: {
+                enabled: bool(snap.rotate?.enabled, 'snap.rotate.enabled', false),
+                value: num(snap.rotate?.value, 'snap.rotate.value', 30, 0, 90)
+            },
+            magnet: {
+                enabled: bool(snap.magnet?.enabled, 'snap.magnet.enabled', true),
+                value: num(snap.magnet?.value, 'snap.magnet.value', 20, 0, 100)
+            }
+        };
+
+        let language = data.language;
+        if (language !== undefined && language !== 'ko' && language !== 'en') {
+            issues.push(`language: "${language}" is not supported, ignored.`);
+            language = undefined;
+        }
+
+        const normalizedCollision = {
+            blockOverlap: bool(data.collision?.blockOverlap, 'collision.blockOverlap', false)
+        };
+
+        const viewer = data.viewer || {};
+        const normalizedViewer = {
+            eyeHeight: num(viewer.eyeHeight, 'viewer.eyeHeight', VIEWER_DEFAULTS.eyeHeight, 0, 1500),
+            distance: num(viewer.distance, 'viewer.distance', VIEWER_DEFAULTS.distance, -1000, 2000),
+            offsetX: num(viewer.offsetX, 'viewer.offsetX', VIEWER_DEFAULTS.offsetX, -3000, 3000)
+        };
+
+        if (data.monitors !== undefined && !Array.isArray(data.monitors)) {
+            issues.push('monitors: not a list, no monitors imported.');
+        }
+        const usedIds = new Set();
+        const monitors = (Array.isArray(data.monitors) ? data.monitors : []).map((m, i) => {
+            const path = `monitors[${i}]`;
+            m = m && typeof m === 'object' ? m : {};
+
+            let id = m.id;
+            if (!Number.isInteger(id) || id < 1 || usedIds.has(id)) {
+                const next = Math.max(0, ...usedIds, ...data.monitors.map(o => Number.isInteger(o?.id) ? o.id : 0)) + 1;
+                issues.push(`${path}.id: "${id}" is missing or duplicated, using ${next}.`);
+                id = next;
+            }
+            usedIds.add(id);
+
+            let curvature = num(m.curvature, `${path}.curvature`, 0);
+            if (curvature < 0 || curvature >= 10000) {
+                issues.push(`${path}.curvature: ${curvature} is not a valid radius (0 < R < 10000), using flat.`);
+                curvature = 0;
+            }
+
+            const ratioW = num(m.ratioW, `${path}.ratioW`, 16, 0.1);
+            const ratioH = num(m.ratioH, `${path}.ratioH`, 9, 0.1);
+            const fallbackResolution = MonitorFactory.defaultResolution(ratioW, ratioH);
+
+            let group = null;
+            if (Number.isInteger(m.group) && m.group >= 1) {
+                group = m.group;
+            } else if (m.group !== null && m.group !== undefined) {
+                issues.push(`${path}.group: "${m.group}" is not a positive integer, group removed.`);
+            }
+
+            let transform = null;
+            if (m.transform) {
+                const position = vec3(m.transform.position, `${path}.transform.position`);
+                const rotation = vec3(m.transform.rotation, `${path}.transform.rotation`);
+                transform = position && rotation ? { position, rotation } : null;
+            }
+
+            return {
+                id,
+                name: typeof m.name === 'string' && m.name.trim() ? m.name : `Monitor ${id}`,
+                inches: num(m.inches, `${path}.inches`, 27, 1),
+                ratioW,
+                ratioH,
+                resolution: {
+                    w: Math.round(num(m.resolution?.w, `${path}.resolution.w`, fallbackResolution.w, 1, 20000)),
+                    h: Math.round(num(m.resolution?.h, `${path}.resolution.h`, fallbackResolution.h, 1, 20000))
+                },
+                curvature,
+                isPortrait: bool(m.isPortrait, `${path}.isPortrait`, false),
+                locked: bool(m.locked, `${path}.locked`, false),
+                model: typeof m.model === 'string' ? m.model : null,
+                bezel: {
+                    top: num(m.bezel?.top, `${path}.bezel.top`, 0, 0, 200),
+                    bottom: num(m.bezel?.bottom, `${path}.bezel.bottom`, 0, 0, 200),
+                    left: num(m.bezel?.left, `${path}.bezel.left`, 0, 0, 200),
+                    right: num(m.bezel?.right, `${path}.bezel.right`, 0, 0, 200)
+                },
+                housingDepth: num(m.housingDepth, `${path}.housingDepth`, 20, 1, 500),
+                mount: this.validateMount(m.mount, `${path}.mount`, num, bool, issues),
+                group,
+                transform
+            };
+        });
+
+        if (data.peripherals !== undefined && !Array.isArray(data.peripherals)) {
+            issues.push('peripherals: not a list, no peripherals imported.');
+        }
+        const peripheralList = Array.isArray(data.peripherals) ? data.peripherals : [];
+        const peripherals = peripheralList.flatMap((p, i) => {
+            const path = `peripherals[${i}]`;
+            const preset = PeripheralFactory.TYPES[p?.type];
+            if (!preset) {
+                issues.push(`${path}.type: "${p?.type}" is not a known item, item removed.`);
+                return [];
+            }
+
+            let id = p.id;
+            if (!Number.isInteger(id) || id < 1 || usedIds.has(id)) {
+                const next = Math.max(0, ...usedIds, ...peripheralList.map(o => Number.isInteger(o?.id) ? o.id : 0)) + 1;
+                issues.push(`${path}.id: "${id}" is missing or duplicated, using ${next}.`);
+                id = next;
+            }
+            usedIds.add(id);
+
+            let transform = null;
+            if (p.transform) {
+                const position = vec3(p.transform.position, `${path}.transform.position`);
+                const rotation = vec3(p.transform.rotation, `${path}.transform.rotation`);
+                transform = position && rotation ? { position, rotation } : null;
+            }
+
+            return [{
+                id,
+                type: p.type,
+                name: typeof p.name === 'string' && p.name.trim() ? p.name : `${preset.label} ${id}`,
+                locked: bool(p.locked, `${path}.locked`, false),
+                size: {
+                    width: num(p.size?.width, `${path}.size.width`, preset.width, 1, 5000),
+                    depth: num(p.size?.depth, `${path}.size.depth`, preset.depth, 1, 5000),
+                    height: num(p.size?.height, `${path}.size.height`, preset.height, 1, 5000)
+                },
+                open: bool(p.open, `${path}.open`, true),
+                transform
+            }];
+        });
+
+        if (data.measurements !== undefined && !Array.isArray(data.measurements)) {
+            issues.push('measurements: not a list, no measurements imported.');
+        }
+        // 측정점은 모니터나 주변기기에 붙을 수 있음
+        const objectIds = new Set([...monitors, ...peripherals].map(o => o.id));
+        const measurements = (Array.isArray(data.measurements) ? data.measurements : []).flatMap((entry, i) => {
+            const points = ['a', 'b'].map(key => {
+                const point = entry?.[key];
+                const monitorId = point?.monitorId ?? null;
+                const valid = isPoint(point) && (monitorId === null || objectIds.has(monitorId));
+                return valid ? { monitorId, x: point.x, y: point.y, z: point.z } : null;
+            });
+            if (points.includes(null)) {
+                issues.push(`measurements[${i}]: invalid point or unknown monitor/item, measurement removed.`);
+                return [];
+            }
+            return [{ a: points[0], b: points[1] }];
+        });
+
+        const camera = data.camera || {};
+        if (camera.bookmarks !== undefined && !Array.isArray(camera.bookmarks)) {
+            issues.push('camera.bookmarks: not a list, no bookmarks imported.');
+        }
+        const bookmarks = (Array.isArray(camera.bookmarks) ? camera.bookmarks : []).flatMap((b, i) => {
+            const path = `camera.bookmarks[${i}]`;
+            if (!isPoint(b?.position) || !isPoint(b?.target)) {
+                issues.push(`${path}: invalid position or target, bookmark removed.`);
+                return [];
+            }
+            const { position: p, target: t } = b;
+            return [{
+                name: typeof b.name === 'string' && b.name.trim() ? b.name : `View ${i + 1}`,
+                position: { x: p.x, y: p.y, z: p.z },
+                target: { x: t.x, y: t.y, z: t.z },
+                fov: num(b.fov, `${path}.fov`, CAMERA_DEFAULTS.fov, 10, 150)
+            }];
+        });
+        const normalizedCamera = {
+            povFov: num(camera.povFov, 'camera.povFov', CAMERA_DEFAULTS.povFov, 30, 150),
+            bookmarks
+        };
+
+        return {
+            data: {
+                version: this.VERSION,
+                desk: normalizedDesk,
+                walls: normalizedWalls,
+                snap: normalizedSnap,
+                language,
+                collision: normalizedCollision,
+                viewer: normalizedViewer,
+                monitors,
+                measurements,
+                peripherals,
+                camera: normalizedCamera
+            },
+            issues
+        };
+    }
+}
+
+// ==========================================
+// 6. ShareLink: Layout <-> URL hash encoding
+// ==========================================
+// #layout=z.<base64url(deflate-raw(JSON))>  (압축 미지원 브라우저: j.<base64url(JSON)>)
+// 내용은 LayoutSchema 파일과 같으므로 디코딩 후 동일한 검증/마이그레이션을 거친다.
+class ShareLink {
+    static HASH_KEY = 'layout';
+
+    static read(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        return params.get(this.HASH_KEY);
+    }
+
+    static async encode(layout) {
+        const { exportedAt, ...file } = LayoutSchema.toFile(layout);
+        // 소수점 4자리면 mm/radian 모두 충분한 정밀도
+        const json = JSON.stringify(file, (key, value) =>
+            typeof value === 'number' ? Math.round(value * 10000) / 10000 : value
+        );
+        const bytes = new TextEncoder().encode(json);
+
+        if (typeof CompressionStream === 'undefined') {
+            return `j.${this.toBase64Url(bytes)}`;
+        }
+        const compressed = await this.pipe(bytes, new CompressionStream('deflate-raw'));
+        return `z.${this.toBase64Url(compressed)}`;
+    }
+
+    static async decode(encoded) {
+        const [kind, payload] = [encoded.slice(0, 2), encoded.slice(2)];
+        let bytes = this.fromBase64Url(payload);
+
+        if (kind === 'z.') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress shared links.');
+            }
+            bytes = await this.pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (kind !== 'j.') {
+            throw new Error('Unrecognized link encoding.');
+        }
+
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(str) {
+        let base64;
+        try {
+            base64 = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (err) {
+            throw new Error('Link is truncated or corrupted.');
+        }
+        return Uint8Array.from(base64, ch => ch.charCodeAt(0));
+    }
+}
+
+// ==========================================
+// 7. HistoryManager: Bounded undo/redo stack
+// ==========================================
+// 상태는 JSON 문자열로 보관하여 이후 변경으로부터 안전하게 분리한다.
+class HistoryManager {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.lastKey = null;
+        this.lastCommitTime = 0;
+    }
+
+    reset(state) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = JSON.stringify(state);
+        this.lastKey = null;
+    }
+
+    // 변경이 없으면 기록하지 않음. 같은 key로 1초 이내 연속 커밋되면 하나로 합침
+    commit(state, key = null) {
+        const json = JSON.stringify(state);
+        if (this.current === null) {
+            this.current = json;
+            return false;
+        }
+        if (json === this.current) return false;
+
+        const now = Date.now();
+        const merge = key !== null && key === this.lastKey && now - this.lastCommitTime < 1000;
+        if (!merge) {
+            this.undoStack.push(this.current);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.current = json;
+        this.lastKey = key;
+        this.lastCommitTime = now;
+        return true;
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        this.lastKey = null;
+        return JSON.parse(this.current);
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        this.lastKey = null;
+        return JSON.parse(this.current);
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
+
+// ==========================================
+// 8. MonitorCatalog: Real-world monitor models
+// ==========================================
+// 내장 모델 치수는 제조사 사양서 기준 근사값 (mm).
+// stand.minHeight / maxHeight: 책상 상판에서 본체 하단까지의 높이 범위
+const catalogModel = (id, name, inches, [w, h], curvature, [top, bottom, left, right], housingDepth, [standW, standD, minH, maxH]) => ({
+    id, name, inches,
+    resolution: { w, h },
+    curvature,
+    bezel: { top, bottom, left, right },
+    housingDepth,
+    stand: { width: standW, depth: standD, minHeight: minH, maxHeight: maxH }
+});
+
+class MonitorCatalog {
+    static CUSTOM_KEY = 'mmp.catalog';
+
+    static BUILTIN = [
+        catalogModel('dell-u2424h', 'Dell UltraSharp U2424H', 23.8, [1920, 1080], 0, [6, 14, 6, 6], 48, [200, 170, 50, 180]),
+        catalogModel('dell-p2422h', 'Dell P2422H', 23.8, [1920, 1080], 0, [7, 16, 7, 7], 52, [200, 170, 50, 180]),
+        catalogModel('dell-u2723qe', 'Dell UltraSharp U2723QE', 27, [3840, 2160], 0, [7, 14, 7, 7], 50, [230, 185, 55, 205]),
+        catalogModel('dell-aw3423dwf', 'Alienware AW3423DWF', 34.2, [3440, 1440], 1800, [10, 20, 10, 10], 100, [300, 270, 50, 160]),
+        catalogModel('lg-27gp850', 'LG UltraGear 27GP850', 27, [2560, 1440], 0, [7, 17, 7, 7], 55, [280, 230, 60, 170]),
+        catalogModel('lg-27gr95qe', 'LG UltraGear 27GR95QE', 26.5, [2560, 1440], 0, [8, 15, 8, 8], 50, [250, 230, 50, 160]),
+        catalogModel('lg-34wn80c', 'LG 34WN80C', 34, [3440, 1440], 1900, [9, 20, 9, 9], 90, [300, 250, 50, 160]),
+        catalogModel('lg-40wp95c', 'LG 40WP95C', 39.7, [5120, 2160], 2500, [10, 20, 10, 10], 110, [300, 250, 50, 160]),
+        catalogModel('samsung-s27a600', 'Samsung S27A600', 27, [2560, 1440], 0, [7, 15, 7, 7], 50, [230, 190, 50, 180]),
+        catalogModel('samsung-odyssey-g7-32', 'Samsung Odyssey Neo G7 32"', 32, [3840, 2160], 1000, [9, 20, 9, 9], 120, [330, 280, 50, 170]),
+        catalogModel('samsung-odyssey-g9', 'Samsung Odyssey G9 49"', 49, [5120, 1440], 1000, [10, 20, 10, 10], 140, [420, 300, 80, 200]),
+        catalogModel('asus-pa278qv', 'ASUS ProArt PA278QV', 27, [2560, 1440], 0, [8, 16, 8, 8], 50, [250, 200, 50, 180]),
+        catalogModel('benq-pd3220u', 'BenQ PD3220U', 31.5, [3840, 2160], 0, [8, 18, 8, 8], 60, [280, 220, 60, 180]),
+        catalogModel('apple-studio-display', 'Apple Studio Display', 27, [5120, 2880], 0, [13, 14, 13, 13], 31, [170, 170, 45, 45])
+    ];
+
+    static loadCustom() {
+        const custom = LayoutStore.read(this.CUSTOM_KEY, []);
+        return Array.isArray(custom) ? custom.map(m => ({ ...m, custom: true })) : [];
+    }
+
+    static all() {
+        return [...this.BUILTIN, ...this.loadCustom()];
+    }
+
+    static find(id) {
+        return this.all().find(m => m.id === id) || null;
+    }
+
+    // 공백으로 나눈 모든 단어가 이름/인치/해상도 중 하나에 포함되면 일치
+    static search(query) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return this.all().filter(m => {
+            const haystack = `${m.name} ${m.inches}" ${m.resolution.w}x${m.resolution.h} ${m.curvature > 0 ? 'curved' : 'flat'}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    }
+
+    static saveCustom(model) {
+        const custom = LayoutStore.read(this.CUSTOM_KEY, []);
+        const entry = { ...model, id: `custom-${Date.now().toString(36)}` };
+        custom.push(entry);
+        LayoutStore.write(this.CUSTOM_KEY, custom);
+        return entry;
+    }
+
+    static removeCustom(id) {
+        LayoutStore.write(this.CUSTOM_KEY, LayoutStore.read(this.CUSTOM_KEY, []).filter(m => m.id !== id));
+    }
+
+    static outerSize(model) {
+        const { outerWidth, outerHeight } = MonitorFactory.dimensions(this.toConfig(model));
+        return { width: outerWidth, height: outerHeight };
+    }
+
+    // 해상도를 기존 UI의 "W:9" 비율 표기로 변환
+    static toConfig(model) {
+        return {
+            name: model.name,
+            inches: model.inches,
+            ratioW: Math.round((model.resolution.w / model.resolution.h) * 9 * 100) / 100,
+            ratioH: 9,
+            resolution: { ...model.resolution },
+            curvature: model.curvature,
+            model: model.id,
+            bezel: { ...model.bezel },
+            housingDepth: model.housingDepth,
+            mount: {
+                ...MOUNT_DEFAULTS.stand,
+                baseWidth: model.stand.width,
+                baseDepth: model.stand.depth,
+                minHeight: model.stand.minHeight,
+                maxHeight: model.stand.maxHeight
+            }
+        };
+    }
+}
+
+// ==========================================
+// 9. Ergonomics: Viewing geometry analysis
+// ==========================================
+// 기준값은 일반적인 VDT 작업 가이드라인(OSHA, ISO 9241-5 등)을 단순화한 것
+class Ergonomics {
+    static GUIDELINES = {
+        minDistance: 500,       // mm
+        maxDistance: 1000,
+        minVerticalAngle: -30,  // 화면 중심이 눈높이보다 0~30° 아래 (기준 15~20°)
+        maxVerticalAngle: 0,
+        maxOffAxis: 20,         // 화면 법선과 시선 사이 각도
+        maxNeckRotation: 35     // 정면 기준 좌우
+    };
+
+    static analyze(monitors, eye) {
+        const g = this.GUIDELINES;
+        const toDeg = THREE.MathUtils.radToDeg;
+        let neckMin = 0;
+        let neckMax = 0;
+
+        const results = monitors.map(monitor => {
+            monitor.updateMatrixWorld(true);
+            const { width, height } = monitor.userData.size;
+            const center = monitor.localToWorld(new THREE.Vector3(0, 0, 0));
+            const toCenter = center.clone().sub(eye);
+            const distance = toCenter.length();
+            const horizontal = Math.hypot(toCenter.x, toCenter.z);
+
+            // 화면 모서리 (곡면은 평면 근사)
+            const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) =>
+                monitor.localToWorld(new THREE.Vector3(sx * width / 2, sy * height / 2, 0))
+            );
+            const topEdge = Math.max(...corners.map(c => c.y));
+
+            corners.forEach(c => {
+                const yaw = toDeg(Math.atan2(c.x - eye.x, eye.z - c.z));
+                neckMin = Math.min(neckMin, yaw);
+                neckMax = Math.max(neckMax, yaw);
+            });
+
+            // 측면 각도: 수평면에서 화면 법선과 눈 방향 사이 (상하는 시선 각도로 따로 평가)
+            const normal = new THREE.Vector3(0, 0, 1).transformDirection(monitor.matrixWorld).setY(0);
+            const toEye = toCenter.clone().negate().setY(0);
+            const offAxisAngle = normal.lengthSq() > 1e-6 && toEye.lengthSq() > 1e-6 ? toDeg(normal.angleTo(toEye)) : 0;
+            const verticalAngle = toDeg(Math.atan2(toCenter.y, horizontal));
+
+            return {
+                id: monitor.userData.id,
+                distance,
+                distancePass: distance >= g.minDistance && distance <= g.maxDistance,
+                verticalAngle,
+                verticalAnglePass: verticalAngle >= g.minVerticalAngle && verticalAngle <= g.maxVerticalAngle,
+                topEdgeAboveEye: topEdge - eye.y,
+                topEdgePass: topEdge <= eye.y,
+                offAxisAngle,
+                offAxisPass: offAxisAngle <= g.maxOffAxis
+            };
+        });
+
+        return {
+            monitors: results,
+            neckRange: {
+                min: neckMin,
+                max: neckMax,
+                pass: Math.max(-neckMin, neckMax) <= g.maxNeckRotation
+            }
+        };
+    }
+}
+
+// ==========================================
+// 10. FieldOfView: Angular coverage from the eye
+// ==========================================
+// 수평 각도: 정면(-z) 기준 오른쪽이 +, 수직 각도: 눈높이 기준 위쪽이 +
+class FieldOfView {
+    static PALETTE = ['#44eeaa', '#4fa3ff', '#ffaa33', '#c77dff', '#ff6b9d', '#e6e65c'];
+
+    static colorFor(index) {
+        return this.PALETTE[Math.max(0, index) % this.PALETTE.length];
+    }
+
+    static analyze(monitors, eye) {
+        const toDeg = THREE.MathUtils.radToDeg;
+        const SAMPLES = 16;
+
+        const results = monitors.map(monitor => {
+            monitor.updateMatrixWorld(true);
+            const size = monitor.userData.size;
+            let hMin = Infinity, hMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+
+            // 화면 테두리를 따라 샘플링 (곡면/세로/틸트 모두 대응)
+            for (let i = 0; i <= SAMPLES; i++) {
+                const s = (i / SAMPLES) * 2 - 1;
+                [[s, -1], [s, 1], [-1, s], [1, s]].forEach(([u, v]) => {
+                    const p = monitor.localToWorld(MonitorFactory.screenPoint(size, u, v)).sub(eye);
+                    const h = toDeg(Math.atan2(p.x, -p.z));
+                    const vAngle = toDeg(Math.atan2(p.y, Math.hypot(p.x, p.z)));
+                    hMin = Math.min(hMin, h); hMax = Math.max(hMax, h);
+                    vMin = Math.min(vMin, vAngle); vMax = Math.max(vMax, vAngle);
+                });
+            }
+
+            return { id: monitor.userData.id, hMin, hMax, vMin, vMax, hFov: hMax - hMin, vFov: vMax - vMin };
+        });
+
+        // 수평 구간 합집합과 그 사이의 빈 각도
+        const sorted = [...results].sort((a, b) => a.hMin - b.hMin);
+        const merged = [];
+        sorted.forEach(r => {
+            const last = merged[merged.length - 1];
+            if (last && r.hMin <= last.max) {
+                if (r.hMax > last.max) {
+                    last.max = r.hMax;
+                    last.rightId = r.id;
+                }
+            } else {
+                merged.push({ min: r.hMin, max: r.hMax, leftId: r.id, rightId: r.id });
+            }
+        });
+
+        const gaps = [];
+        for (let i = 1; i < merged.length; i++) {
+            gaps.push({
+                from: merged[i - 1].max,
+                to: merged[i].min,
+                size: merged[i].min - merged[i - 1].max,
+                leftId: merged[i - 1].rightId,
+                rightId: merged[i].leftId
+            });
+        }
+
+        return {
+            monitors: results,
+            intervals: merged,
+            gaps,
+            coverage: merged.reduce((sum, m) => sum + (m.max - m.min), 0),
+            span: merged.length ? merged[merged.length - 1].max - merged[0].min : 0,
+            vMin: results.length ? Math.min(...results.map(r => r.vMin)) : 0,
+            vMax: results.length ? Math.max(...results.map(r => r.vMax)) : 0
+        };
+    }
+
+    // 위에서 내려다본 부채꼴 다이어그램. 눈이 아래 중앙, 정면이 위쪽
+    static drawDiagram(canvas, result, colorOf) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        const w = canvas.width;
+        const h = canvas.height;
+        const cx = w / 2;
+        const cy = h - 10;
+        const radius = Math.min(cx, cy) - 10;
+        const toCanvas = (deg) => THREE.MathUtils.degToRad(deg - 90);
+
+        ctx.clearRect(0, 0, w, h);
+
+        // 30° 간격 보조선
+        ctx.strokeStyle = '#3e3e42';
+        ctx.fillStyle = '#777';
+        ctx.lineWidth = 1;
+        ctx.font = '10px "Pretendard", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, Math.PI, 0);
+        ctx.stroke();
+        for (let deg = -90; deg <= 90; deg += 30) {
+            const a = toCanvas(deg);
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + Math.cos(a) * radius, cy + Math.sin(a) * radius);
+            ctx.stroke();
+            ctx.fillText(`${deg}°`, cx + Math.cos(a) * (radius + 2), cy + Math.sin(a) * (radius + 2) - 2);
+        }
+
+        const wedge = (from, to, r, fill) => {
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.arc(cx, cy, r, toCanvas(Math.max(-180, from)), toCanvas(Math.min(180, to)));
+            ctx.closePath();
+            ctx.fillStyle = fill;
+            ctx.fill();
+        };
+
+        result.monitors.forEach(m => {
+            ctx.globalAlpha = 0.55;
+            wedge(m.hMin, m.hMax, radius * 0.85, colorOf(m.id));
+        });
+        ctx.globalAlpha = 0.8;
+        result.gaps.forEach(gap => wedge(gap.from, gap.to, radius * 0.95, '#d94444'));
+        ctx.globalAlpha = 1;
+    }
+}
+
+// ==========================================
+// 11. CollisionDetector: Monitor / desk overlap checks
+// ==========================================
+// 책상 상판은 y = 0, 윤곽은 deskSize.outline (DeskShape). 벽은 DeskShape.wallPlanes
+class CollisionDetector {
+    static TOLERANCE = 0.5; // mm, 맞닿은 상태는 충돌로 보지 않음
+
+    // OBB.applyMatrix4는 중심점을 회전시키지 않으므로 직접 변환 (모니터 그룹은 스케일 없음)
+    static getWorldVolumes(monitor) {
+        monitor.updateMatrixWorld(true);
+        const rotation = new THREE.Matrix3().setFromMatrix4(monitor.matrixWorld);
+        return (monitor.userData.collisionVolumes || []).map(obb => new OBB(
+            obb.center.clone().applyMatrix4(monitor.matrixWorld),
+            obb.halfSize.clone(),
+            new THREE.Matrix3().multiplyMatrices(rotation, obb.rotation)
+        ));
+    }
+
+    static getCorners(obb) {
+        const corners = [];
+        const axis = new THREE.Vector3();
+        for (const sx of [-1, 1]) for (const sy of [-1, 1]) for (const sz of [-1, 1]) {
+            axis.set(sx * obb.halfSize.x, sy * obb.halfSize.y, sz * obb.halfSize.z).applyMatrix3(obb.rotation);
+            corners.push(obb.center.clone().add(axis));
+        }
+        return corners;
+    }
+
+    static shrink(obb) {
+        const out = obb.clone();
+        out.halfSize.subScalar(this.TOLERANCE / 2).max(new THREE.Vector3(0, 0, 0));
+        return out;
+    }
+
+    static intersects(volumesA, volumesB) {
+        return volumesA.some(a => volumesB.some(b => this.shrink(a).intersectsOBB(this.shrink(b))));
+    }
+
+    static isBelowDesk(corners, deskSize) {
+        return corners.some(c => c.y < -this.TOLERANCE && DeskShape.contains(deskSize.outline, c.x, c.z));
+    }
+
+    static isOffDesk(corners, deskSize) {
+        return corners.some(c => !DeskShape.contains(deskSize.outline, c.x, c.z, this.TOLERANCE));
+    }
+
+    // 바닥에 내려 둔 물건 (PC 본체 등). 책상 위/아래 검사 대상이 아님
+    static isOnFloor(corners, deskSize) {
+        return Math.min(...corners.map(c => c.y)) <= -deskSize.height + this.TOLERANCE;
+    }
+
+    static isThroughWall(corners, walls) {
+        return corners.some(c => walls.some(wall => wall.sign * (c[wall.axis] - wall.at) < -this.TOLERANCE));
+    }
+
+    // 드래그 차단 여부: 다른 모니터와 겹치거나 상판/벽을 관통
+    static isBlocked(monitor, monitors, deskSize, walls = []) {
+        const volumes = this.getWorldVolumes(monitor);
+        const corners = volumes.flatMap(v => this.getCorners(v));
+        if (this.isBelowDesk(corners, deskSize) || this.isThroughWall(corners, walls)) return true;
+
+        return monitors.some(other => other !== monitor && this.intersects(volumes, this.getWorldVolumes(other)));
+    }
+
+    // 스탠드 받침 (축 정렬 박스)
+    static getBaseVolume(base) {
+        return new OBB().fromBox3(new THREE.Box3().setFromObject(base));
+    }
+
+    // 주변기기와 닿는 모니터 본체/스탠드 받침. 반환값: [{ monitorId, itemId, part: 'monitor' | 'stand' }]
+    static peripheralHits(monitors, peripherals, mounts = new Map()) {
+        const hits = [];
+        peripherals.filter(item => !item.userData.surface).forEach(item => {
+            const volumes = this.getWorldVolumes(item);
+            monitors.forEach(monitor => {
+                const monitorId = monitor.userData.id;
+                const itemId = item.userData.id;
+                if (this.intersects(volumes, this.getWorldVolumes(monitor))) hits.push({ monitorId, itemId, part: 'monitor' });
+                const base = mounts.get(monitorId)?.userData.parts.base;
+                if (base && this.intersects(volumes, [this.getBaseVolume(base)])) hits.push({ monitorId, itemId, part: 'stand' });
+            });
+        });
+        return hits;
+    }
+
+    static detect(monitors, deskSize, mounts = new Map(), walls = [], peripherals = []) {
+        const volumes = monitors.map(m => this.getWorldVolumes(m));
+        const overlaps = [];
+        const belowDesk = [];
+        const offDesk = [];
+        const throughWall = [];
+
+        monitors.forEach((monitor, i) => {
+            const id = monitor.userData.id;
+            for (let j = i + 1; j < monitors.length; j++) {
+                if (this.intersects(volumes[i], volumes[j])) overlaps.push([id, monitors[j].userData.id]);
+            }
+
+            const corners = volumes[i].flatMap(v => this.getCorners(v));
+            if (this.isBelowDesk(corners, deskSize)) belowDesk.push(id);
+            if (this.isThroughWall(corners, walls)) throughWall.push(id);
+
+            // 스탠드 받침도 책상 위에 있어야 함
+            const base = mounts.get(id)?.userData.parts.base;
+            if (base) {
+                const box = new THREE.Box3().setFromObject(base);
+                corners.push(box.min, box.max, new THREE.Vector3(box.min.x, 0, box.max.z), new THREE.Vector3(box.max.x, 0, box.min.z));
+            }
+            if (this.isOffDesk(corners, deskSize)) offDesk.push(id);
+        });
+
+        peripherals.forEach(item => {
+            const id = item.userData.id;
+            const corners = this.getWorldVolumes(item).flatMap(v => this.getCorners(v));
+            if (this.isThroughWall(corners, walls)) throughWall.push(id);
+            if (this.isOnFloor(corners, deskSize)) return;
+            if (this.isBelowDesk(corners, deskSize)) belowDesk.push(id);
+            if (this.isOffDesk(corners, deskSize)) offDesk.push(id);
+        });
+
+        return { overlaps, belowDesk, offDesk, throughWall, peripherals: this.peripheralHits(monitors, peripherals, mounts) };
+    }
+}
+
+// ==========================================
+// 12. LayoutArranger: Auto-arrange templates
+// ==========================================
+// 모니터는 목록 순서대로 왼쪽 -> 오른쪽에 배치. 위치는 화면 중심(그룹 원점) 기준
+class LayoutArranger {
+    static TEMPLATES = ['row', 'arc', 'stack', 'wings'];
+    static MIN_BOTTOM = 50; // mm, 상판 ~ 본체 하단 최소 높이
+
+    // 틸트/스위블 없이 세워 둔 상태의 본체 범위 (그룹 로컬, 세로 모드 회전 포함)
+    static footprint(monitor) {
+        const geometry = monitor.userData.body.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const box = geometry.boundingBox.clone();
+        if (monitor.userData.isPortrait) box.applyMatrix4(new THREE.Matrix4().makeRotationZ(-Math.PI / 2));
+
+        return {
+            width: box.max.x - box.min.x,
+            height: box.max.y - box.min.y,
+            centerX: (box.min.x + box.max.x) / 2,
+            bottom: box.min.y,
+            top: box.max.y,
+            // 곡면은 양 끝이 화면 중심보다 앞(+z)으로 나옴
+            edgeZ: Math.max(0, box.max.z)
+        };
+    }
+
+    // 반경 radius인 원에 현 길이 width가 차지하는 각도
+    static arcAngle(width, radius) {
+        return 2 * Math.asin(Math.min(1, width / (2 * radius)));
+    }
+
+    // 반환값: Map(id -> { position, rotation }). options: { gap, radius, eye }
+    static plan(template, monitors, options) {
+        const { gap, eye } = options;
+        const items = monitors.map(monitor => ({ monitor, fp: this.footprint(monitor) }));
+        const transforms = new Map();
+        if (items.length === 0) return transforms;
+
+        // 가장 큰 화면의 상단이 눈높이에 오도록, 단 스탠드 최소 높이 이상
+        const minBottom = Math.max(this.MIN_BOTTOM, ...monitors.map(m => m.userData.mount?.type === 'stand' ? m.userData.mount.minHeight : 0));
+        const tallest = Math.max(...items.map(item => item.fp.height));
+        const baseline = Math.max(minBottom, eye.y - tallest);
+
+        const place = (item, x, y, z, yaw = 0) => {
+            transforms.set(item.monitor.userData.id, {
+                position: { x, y, z },
+                rotation: { x: 0, y: yaw, z: item.monitor.userData.isPortrait ? -Math.PI / 2 : 0 }
+            });
+        };
+
+        // 가로 한 줄, 하단 정렬. 반환값: 줄의 가장 높은 상단
+        const placeRow = (row, bottom) => {
+            const total = row.reduce((sum, item) => sum + item.fp.width, 0) + gap * (row.length - 1);
+            let cursor = eye.x - total / 2;
+            row.forEach(item => {
+                place(item, cursor + item.fp.width / 2 - item.fp.centerX, bottom - item.fp.bottom, 0);
+                cursor += item.fp.width + gap;
+            });
+            return Math.max(...row.map(item => bottom + item.fp.height));
+        };
+
+        // 눈을 중심으로 한 원 위에 양 끝이 닿도록 배치. angle = 0이 정면, 양수가 오른쪽
+        const radius = Math.max(options.radius, ...items.map(item => item.fp.width / 2 + 1));
+        const gapAngle = this.arcAngle(gap, radius);
+        const placeOnArc = (item, angle) => {
+            const half = this.arcAngle(item.fp.width, radius) / 2;
+            const dist = radius * Math.cos(half);
+            const yaw = -angle;
+            // 화면 양 끝의 중점이 현의 중점에 오도록 원점 보정
+            const anchor = new THREE.Vector3(item.fp.centerX, 0, item.fp.edgeZ).applyAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+            place(
+                item,
+                eye.x + Math.sin(angle) * dist - anchor.x,
+                baseline - item.fp.bottom,
+                eye.z - Math.cos(angle) * dist - anchor.z,
+                yaw
+            );
+        };
+        const span = (item) => this.arcAngle(item.fp.width, radius);
+
+        if (template === 'row') {
+            placeRow(items, baseline);
+        } else if (template === 'arc') {
+            const total = items.reduce((sum, item) => sum + span(item), 0) + gapAngle * (items.length - 1);
+            let angle = -total / 2;
+            items.forEach(item => {
+                placeOnArc(item, angle + span(item) / 2);
+                angle += span(item) + gapAngle;
+            });
+        } else if (template === 'stack') {
+            // 위 2대, 나머지는 아래 줄 (목록의 앞쪽 모니터가 아래)
+            const topCount = Math.min(2, items.length - 1);
+            const bottomRow = items.slice(0, items.length - topCount);
+            const top = placeRow(bottomRow, baseline);
+            if (topCount > 0) placeRow(items.slice(items.length - topCount), top + gap);
+        } else if (template === 'wings') {
+            // 첫 모니터가 중앙, 나머지는 왼쪽/오른쪽 번갈아 바깥으로
+            const [center, ...wings] = items;
+            placeOnArc(center, 0);
+            const edges = { [-1]: span(center) / 2, [1]: span(center) / 2 };
+            wings.forEach((item, i) => {
+                const side = i % 2 === 0 ? -1 : 1;
+                const start = edges[side] + gapAngle;
+                placeOnArc(item, side * (start + span(item) / 2));
+                edges[side] = start + span(item);
+            });
+        }
+
+        return transforms;
+    }
+
+    // 본체와 스탠드 받침을 포함한 수평 범위 (월드 좌표)
+    static bounds(monitors, mounts) {
+        const box = new THREE.Box3();
+        monitors.forEach(monitor => {
+            CollisionDetector.getWorldVolumes(monitor)
+                .flatMap(v => CollisionDetector.getCorners(v))
+                .forEach(c => box.expandByPoint(c));
+            const base = mounts.get(monitor.userData.id)?.userData.parts.base;
+            if (base) box.expandByObject(base);
+        });
+        return box;
+    }
+
+    // 책상(윤곽 범위) 안으로 들어오도록 필요한 x/z 이동량. 책상보다 크면 가운데 정렬 후 fits = false
+    static fitOffset(box, deskSize) {
+        const axis = (min, max, low, high) => {
+            if (max - min > high - low + CollisionDetector.TOLERANCE) return { shift: (low + high) / 2 - (min + max) / 2, fits: false };
+            if (min < low) return { shift: low - min, fits: true };
+            if (max > high) return { shift: high - max, fits: true };
+            return { shift: 0, fits: true };
+        };
+        const { minX, maxX, minZ, maxZ } = deskSize.extent;
+        const x = axis(box.min.x, box.max.x, minX, maxX);
+        const z = axis(box.min.z, box.max.z, minZ, maxZ);
+        return { x: x.shift, z: z.shift, fits: x.fits && z.fits };
+    }
+}
+
+// ==========================================
+// 13. MagneticSnap: Edge-to-edge snapping
+// ==========================================
+// 드래그 중인 모니터의 외곽(월드 AABB)을 주변 모니터의 가장자리/상단/하단/중심선에 맞춤
+class MagneticSnap {
+    static bounds(monitors) {
+        const box = new THREE.Box3();
+        monitors.flatMap(m => CollisionDetector.getWorldVolumes(m))
+            .flatMap(v => CollisionDetector.getCorners(v))
+            .forEach(c => box.expandByPoint(c));
+        return box;
+    }
+
+    // 반환값: { offset: Vector3, guides: [{ axis: 'x' | 'y', value, box }] }
+    // moving: 함께 움직이는 모니터들, axes: 이동 중인 축 ('X', 'Y'...), threshold: 끌어당기는 거리(mm)
+    static find(moving, others, axes, threshold) {
+        const box = this.bounds(moving);
+        const offset = new THREE.Vector3();
+        const guides = [];
+        if (others.length === 0 || threshold <= 0) return { offset, guides };
+
+        const otherBoxes = others.map(other => this.bounds([other]));
+        const snapAxis = (axis) => {
+            const min = box.min[axis];
+            const max = box.max[axis];
+            const mid = (min + max) / 2;
+            let best = null;
+
+            otherBoxes.forEach(other => {
+                const oMin = other.min[axis];
+                const oMax = other.max[axis];
+                // [내 기준선, 상대 기준선]: 맞닿기, 같은 쪽 정렬, 중심선
+                const pairs = [[min, oMax], [max, oMin], [min, oMin], [max, oMax], [mid, (oMin + oMax) / 2]];
+                pairs.forEach(([mine, target]) => {
+                    const delta = target - mine;
+                    if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                        best = { delta, value: target, other };
+                    }
+                });
+            });
+
+            if (!best) return;
+            offset[axis] = best.delta;
+            guides.push({ axis, value: best.value, box: box.clone().translate(offset).union(best.other) });
+        };
+
+        if (axes.includes('X')) snapAxis('x');
+        if (axes.includes('Y')) snapAxis('y');
+        // 두 축이 모두 스냅되면 먼저 만든 가이드의 범위도 최종 위치 기준으로 갱신
+        guides.forEach(guide => guide.box.union(box.clone().translate(offset)));
+        return { offset, guides };
+    }
+
+    // 가이드 선분 좌표 (모니터 앞면 약간 앞)
+    static guidePoints(guides) {
+        const points = [];
+        const margin = 40;
+        guides.forEach(({ axis, value, box }) => {
+            const z = box.max.z + 2;
+            if (axis === 'x') {
+                points.push(value, box.min.y - margin, z, value, box.max.y + margin, z);
+            } else {
+                points.push(box.min.x - margin, value, z, box.max.x + margin, value, z);
+            }
+        });
+        return points;
+    }
+}
+
+// ==========================================
+// 14. PixelDensity: PPI / OS scaling analysis
+// ==========================================
+// 기준: 96 PPI 화면을 600mm에서 볼 때의 글자 크기 = 배율 100%
+class PixelDensity {
+    static REFERENCE = { ppi: 96, distance: 600 };
+    static SCALE_STEP = 0.25;
+    static SCALE_RANGE = [1, 3];
+    static NEIGHBOR_GAP = 150; // mm, 이 거리 안의 모니터를 이웃으로 봄
+    static MISMATCH = 1.1; // 글자 크기 차이 10% 이상이면 경고
+
+    static ppi(resolution, inches) {
+        return Math.hypot(resolution.w, resolution.h) / inches;
+    }
+
+    // 논리 픽셀 하나가 눈에서 차지하는 각도 (arcmin)
+    static pixelAngle(ppi, scale, distance) {
+        return THREE.MathUtils.radToDeg(Math.atan((scale * 25.4 / ppi) / distance)) * 60;
+    }
+
+    static recommendedScale(ppi, distance) {
+        const { ppi: refPpi, distance: refDistance } = this.REFERENCE;
+        const raw = (ppi / refPpi) * (refDistance / distance);
+        const [min, max] = this.SCALE_RANGE;
+        return THREE.MathUtils.clamp(Math.round(raw / this.SCALE_STEP) * this.SCALE_STEP, min, max);
+    }
+
+    static analyze(monitors, eye) {
+        const results = monitors.map(monitor => {
+            const { resolution, inches } = monitor.userData;
+            const ppi = this.ppi(resolution, inches);
+            const distance = Math.max(1, eye.distanceTo(monitor.position));
+            const scale = this.recommendedScale(ppi, distance);
+            return {
+                id: monitor.userData.id,
+                ppi,
+                pitch: 25.4 / ppi,
+                distance,
+                scale,
+                // 100%와 권장 배율에서의 글자 크기 (각도)
+                nativeAngle: this.pixelAngle(ppi, 1, distance),
+                scaledAngle: this.pixelAngle(ppi, scale, distance),
+                box: MagneticSnap.bounds([monitor]).expandByScalar(this.NEIGHBOR_GAP / 2)
+            };
+        });
+
+        const mismatches = [];
+        results.forEach((a, i) => {
+            results.slice(i + 1).forEach(b => {
+                if (!a.box.intersectsBox(b.box)) return;
+                const ratio = (x, y) => Math.max(x, y) / Math.min(x, y);
+                const nativeRatio = ratio(a.nativeAngle, b.nativeAngle);
+                if (nativeRatio < this.MISMATCH) return;
+
+                // 글자가 더 크게 보이는 쪽을 앞에
+                const [larger, smaller] = a.nativeAngle >= b.nativeAngle ? [a, b] : [b, a];
+                mismatches.push({
+                    largerId: larger.id,
+                    smallerId: smaller.id,
+                    nativeRatio,
+                    scaledRatio: ratio(a.scaledAngle, b.scaledAngle)
+                });
+            });
+        });
+
+        return { monitors: results.map(({ box, ...r }) => r), mismatches };
+    }
+}
+
+// ==========================================
+// 15. DisplayArrangement: Physical layout -> OS virtual desktop
+// ==========================================
+// 물리 위치(mm)를 OS 가상 데스크톱 좌표(px)로 변환. 인접한 화면은 경계가 맞닿도록 배치해
+// 마우스가 실제 화면 배치대로 넘어가게 한다.
+// - 시선 정면에 가장 가까운 화면(주 모니터)을 먼저 놓고, 이미 놓인 화면과 가장 가까운 화면부터
+//   그 화면의 왼쪽/오른쪽/위/아래에 맞닿게 붙임. 어긋난 정도는 이웃 화면의 px/mm로 환산
+// - 세로 모드는 시계 방향 회전(right)으로 출력
+class DisplayArrangement {
+    static FORMAT = 'multi-monitor-planner/displays';
+    // 이 간격(mm) 이내면 맞닿은 화면으로 본다
+    static ADJACENT_GAP = 100;
+
+    // 출력 이름은 알 수 없으므로 자리표시자 사용 (스크립트에서 수정)
+    static outputName(index) {
+        return `DP-${index + 1}`;
+    }
+
+    // 모니터별 기본 정보: 패널 해상도(가로 기준), 회전, 화면 영역의 물리 범위
+    static describe(monitor, eye) {
+        const { resolution, isPortrait, size } = monitor.userData;
+        monitor.updateMatrixWorld(true);
+
+        // 평면 세로 모드는 비율이 세로(w < h)로 저장되어 있음
+        const panelPortrait = resolution.w < resolution.h;
+        const rotated = isPortrait !== panelPortrait;
+        const mode = { w: Math.max(resolution.w, resolution.h), h: Math.min(resolution.w, resolution.h) };
+        const pixels = rotated ? { w: mode.h, h: mode.w } : { w: mode.w, h: mode.h };
+
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+            .map(([u, v]) => monitor.localToWorld(MonitorFactory.screenPoint(size, u, v)));
+        const xs = corners.map(c => c.x);
+        const ys = corners.map(c => c.y);
+        const center = monitor.localToWorld(new THREE.Vector3());
+        const ppi = PixelDensity.ppi(resolution, monitor.userData.inches);
+
+        return {
+            id: monitor.userData.id,
+            mode,
+            rotation: rotated ? 'right' : 'normal',
+            pixels,
+            scale: PixelDensity.recommendedScale(ppi, Math.max(1, eye.distanceTo(center))),
+            physical: { left: Math.min(...xs), right: Math.max(...xs), bottom: Math.min(...ys), top: Math.max(...ys) },
+            // 눈높이 정면 방향과 화면 중심 사이 각도 (주 모니터 선택용)
+            gaze: center.clone().sub(eye).angleTo(new THREE.Vector3(0, 0, -1))
+        };
+    }
+
+    static isBetterNeighbor(a, b) {
+        if (a.adjacent !== b.adjacent) return a.adjacent;
+        return a.adjacent ? a.shared > b.shared : a.distance < b.distance;
+    }
+
+    // 두 화면 사이의 물리 간격 (겹치면 음수)
+    static separation(a, b) {
+        return {
+            x: Math.max(a.physical.left - b.physical.right, b.physical.left - a.physical.right),
+            y: Math.max(a.physical.bottom - b.physical.top, b.physical.bottom - a.physical.top)
+        };
+    }
+
+    static overlaps(a, b) {
+        return a.position.x < b.position.x + b.size.w && b.position.x < a.position.x + a.size.w &&
+            a.position.y < b.position.y + b.size.h && b.position.y < a.position.y + a.size.h;
+    }
+
+    // 반환값: [{ ...describe(), size: 논리 크기, position, primary }]. useScale = false면 배율 1 (xrandr)
+    static arrange(descriptions, useScale) {
+        const items = descriptions.map(d => {
+            const scale = useScale ? d.scale : 1;
+            return { ...d, size: { w: Math.round(d.pixels.w / scale), h: Math.round(d.pixels.h / scale) }, position: { x: 0, y: 0 } };
+        });
+        if (items.length === 0) return items;
+
+        const primary = items.reduce((best, item) => item.gaze < best.gaze ? item : best, items[0]);
+        const placed = [primary];
+        const pending = items.filter(item => item !== primary);
+
+        while (pending.length > 0) {
+            // 이미 놓인 화면과 맞닿은(간격 ADJACENT_GAP 이내) 쌍 중 공유하는 변이 가장 긴 쌍,
+            // 없으면 가장 가까운 쌍
+            let next = null;
+            pending.forEach(item => placed.forEach(neighbor => {
+                const sep = this.separation(item, neighbor);
+                const candidate = { item, neighbor, sep, distance: Math.max(sep.x, sep.y), shared: -Math.min(sep.x, sep.y) };
+                candidate.adjacent = candidate.distance <= this.ADJACENT_GAP;
+                if (!next || this.isBetterNeighbor(candidate, next)) next = candidate;
+            }));
+
+            const { item, neighbor, sep } = next;
+            const pxPerMmX = neighbor.size.w / (neighbor.physical.right - neighbor.physical.left);
+            const pxPerMmY = neighbor.size.h / (neighbor.physical.top - neighbor.physical.bottom);
+            const step = { x: 0, y: 0 };
+
+            if (sep.x >= sep.y) {
+                // 좌우로 붙임. 세로 위치는 상단 높이 차이로
+                const isRight = item.physical.left + item.physical.right > neighbor.physical.left + neighbor.physical.right;
+                item.position = {
+                    x: isRight ? neighbor.position.x + neighbor.size.w : neighbor.position.x - item.size.w,
+                    y: Math.round(neighbor.position.y + (neighbor.physical.top - item.physical.top) * pxPerMmY)
+                };
+                step.x = isRight ? 1 : -1;
+            } else {
+                // 위아래로 붙임. 가로 위치는 왼쪽 끝 차이로
+                const isAbove = item.physical.bottom + item.physical.top > neighbor.physical.bottom + neighbor.physical.top;
+                item.position = {
+                    x: Math.round(neighbor.position.x + (item.physical.left - neighbor.physical.left) * pxPerMmX),
+                    y: isAbove ? neighbor.position.y - item.size.h : neighbor.position.y + neighbor.size.h
+                };
+                step.y = isAbove ? -1 : 1;
+            }
+
+            // 다른 화면과 겹치면 같은 방향으로 밀어냄
+            let blocker = placed.find(other => this.overlaps(item, other));
+            while (blocker) {
+                if (step.x > 0) item.position.x = blocker.position.x + blocker.size.w;
+                if (step.x < 0) item.position.x = blocker.position.x - item.size.w;
+                if (step.y > 0) item.position.y = blocker.position.y + blocker.size.h;
+                if (step.y < 0) item.position.y = blocker.position.y - item.size.h;
+                blocker = placed.find(other => this.overlaps(item, other));
+            }
+
+            placed.push(item);
+            pending.splice(pending.indexOf(item), 1);
+        }
+
+        // 왼쪽 위가 (0, 0)이 되도록 이동
+        const minX = Math.min(...items.map(item => item.position.x));
+        const minY = Math.min(...items.map(item => item.position.y));
+        items.forEach(item => {
+            item.position.x -= minX;
+            item.position.y -= minY;
+            item.primary = item === primary;
+        });
+        return items;
+    }
+
+    static label(names, item) {
+        return String(names.get(item.id) ?? `#${item.id}`).replace(/[\r\n]+/g, ' ');
+    }
+
+    static toXrandr(items, names) {
+        const lines = [
+            '#!/bin/sh',
+            '# Multi-Monitor Planner: xrandr 배치 / display arrangement',
+            '# 출력 이름은 `xrandr --query` 결과에 맞게 수정하세요. Edit output names to match `xrandr --query`.',
+            ''
+        ];
+        items.forEach((item, i) => lines.push(`OUT_${i + 1}="${this.outputName(i)}"  # ${this.label(names, item)}`));
+        lines.push('', 'xrandr \\');
+        items.forEach((item, i) => {
+            const options = [
+                `--output "$OUT_${i + 1}"`,
+                `--mode ${item.mode.w}x${item.mode.h}`,
+                `--pos ${item.position.x}x${item.position.y}`,
+                `--rotate ${item.rotation}`,
+                ...(item.primary ? ['--primary'] : [])
+            ];
+            lines.push(`    ${options.join(' ')}${i < items.length - 1 ? ' \\' : ''}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    static toSway(items, names) {
+        const lines = [
+            '# Multi-Monitor Planner: sway output 배치 / output arrangement',
+            '# 출력 이름은 `swaymsg -t get_outputs` 결과에 맞게 수정하세요.',
+            ''
+        ];
+        items.forEach((item, i) => {
+            lines.push(`# ${this.label(names, item)}`);
+            lines.push(`output ${this.outputName(i)} {`);
+            lines.push(`    mode ${item.mode.w}x${item.mode.h}`);
+            lines.push(`    pos ${item.position.x} ${item.position.y}`);
+            lines.push(`    transform ${item.rotation === 'right' ? '90' : 'normal'}`);
+            lines.push(`    scale ${item.scale}`);
+            lines.push('}', '');
+        });
+        return lines.join('\n');
+    }
+
+    static toHyprland(items, names) {
+        const lines = [
+            '# Multi-Monitor Planner: Hyprland monitor 배치 / monitor arrangement',
+            '# 출력 이름은 `hyprctl monitors` 결과에 맞게 수정하세요.',
+            ''
+        ];
+        items.forEach((item, i) => {
+            const transform = item.rotation === 'right' ? ', transform, 1' : '';
+            lines.push(`# ${this.label(names, item)}`);
+            lines.push(`monitor = ${this.outputName(i)}, ${item.mode.w}x${item.mode.h}, ${item.position.x}x${item.position.y}, ${item.scale}${transform}`);
+        });
+        return `${lines.join('\n')}\n`;
+    }
+
+    // scaled: Wayland처럼 배율이 적용된 논리 좌표, unscaled: xrandr처럼 실제 픽셀 좌표
+    static toJson(scaled, unscaled, names) {
+        return {
+            format: this.FORMAT,
+            version: 1,
+            outputs: scaled.map((item, i) => {
+                const raw = unscaled.find(other => other.id === item.id);
+                return {
+                    name: this.outputName(i),
+                    monitorId: item.id,
+                    label: this.label(names, item),
+                    primary: item.primary,
+                    mode: { ...item.mode },
+                    rotation: item.rotation,
+                    scale: item.scale,
+                    logicalSize: { ...item.size },
+                    position: { ...item.position },
+                    pixelPosition: { ...raw.position },
+                    physicalMm: {
+                        left: Math.round(item.physical.left),
+                        right: Math.round(item.physical.right),
+                        bottom: Math.round(item.physical.bottom),
+                        top: Math.round(item.physical.top)
+                    }
+                };
+            })
+        };
+    }
+}
+
+// ==========================================
+// 16. FloorPlan: Top-down plan with dimensions
+// ==========================================
+// 책상 상판을 위에서 내려다본 평면도. 평면 좌표 (x, z)를 그대로 SVG (x, y)로 사용
+// (오른쪽 = +x, 아래쪽 = 책상 앞쪽). 선 굵기/글자 크기/치수선 간격은 도면 단위로 정하고
+// unit(도면 단위 1당 mm)을 곱해 실제 좌표로 변환
+class FloorPlan {
+    static STYLE = { line: 1, thin: 0.6, font: 11, tick: 5, gap: 24, extension: 4 };
+    static PAPERS = { a4: { width: 297, height: 210 }, a3: { width: 420, height: 297 } }; // 가로 방향, mm
+    static SCALES = [1, 2, 5, 10, 20, 25, 50, 100]; // 축척 1:N 후보
+    static PAPER_MARGIN = 10; // mm
+    static PRINT_UNIT = 0.25; // 인쇄: 도면 단위 1 = 용지 0.25mm (글자 약 2.8mm)
+    static EXPORT_UNIT = 2; // 실척 SVG: 도면 단위 1 = 2mm
+    static COLORS = { desk: '#333333', monitor: '#1f3a5f', mount: '#666666', wall: '#555555', dimension: '#c0392b' };
+
+    // 메시 바운딩 박스의 꼭짓점을 바닥에 투영한 볼록 다각형
+    static outline(mesh) {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        mesh.updateMatrixWorld(true);
+        const { min, max } = mesh.geometry.boundingBox;
+        const points = [];
+        [min.x, max.x].forEach(x => [min.y, max.y].forEach(y => [min.z, max.z].forEach(z => {
+            const p = new THREE.Vector3(x, y, z).applyMatrix4(mesh.matrixWorld);
+            points.push({ x: p.x, z: p.z });
+        })));
+        return this.convexHull(points);
+    }
+
+    static convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.z - b.z);
+        const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+        const half = (list) => {
+            const hull = [];
+            list.forEach(p => {
+                while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+                hull.push(p);
+            });
+            hull.pop();
+            return hull;
+        };
+        return [...half(sorted), ...half([...sorted].reverse())];
+    }
+
+    static extent(points) {
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+    }
+
+    // 다각형에서 가장 왼쪽/오른쪽/뒤/앞 점 (치수 보조선 시작점). 뒤/앞이 같으면 왼쪽 점
+    static extremePoint(points, side) {
+        const leftOnTie = (dz, p, best) => dz < -0.5 || (dz <= 0.5 && p.x < best.x);
+        const better = {
+            left: (p, best) => p.x < best.x,
+            right: (p, best) => p.x > best.x,
+            back: (p, best) => leftOnTie(p.z - best.z, p, best),
+            front: (p, best) => leftOnTie(best.z - p.z, p, best)
+        }[side];
+        return points.reduce((best, p) => better(p, best) ? p : best, points[0]);
+    }
+
+    // 반환값: { desk: { outline, extent }, walls, items: [{ id, name, outline, extent, base, clamp }] }
+    static build(deskSize, walls, monitors, mounts, names) {
+        const items = monitors.map(m => {
+            const id = m.userData.id;
+            const outline = this.outline(m.userData.body);
+            const parts = mounts.get(id)?.userData.parts ?? {};
+            return {
+                id,
+                name: names.get(id) ?? '',
+                outline,
+                extent: this.extent(outline),
+                base: parts.base ? this.outline(parts.base) : null,
+                clamp: parts.clamp ? { outline: this.outline(parts.clamp), x: parts.clamp.position.x, z: parts.clamp.position.z } : null
+            };
+        });
+        return {
+            desk: { outline: deskSize.outline, extent: deskSize.extent },
+            walls: DeskShape.wallRects(deskSize.extent, walls),
+            items
+        };
+    }
+
+    // 치수 목록. axis 'x' = 가로 치수(at = 치수선의 z), 'z' = 세로 치수(at = 치수선의 x)
+    // refs = 보조선을 시작할 대상 위의 점 (치수선이 대상에 바로 붙어 있으면 없음)
+    static dimensions(plan, unit) {
+        const gap = this.STYLE.gap * unit;
+        const { outline, extent } = plan.desk;
+        const left = extent.minX, right = extent.maxX, back = extent.minZ, front = extent.maxZ;
+        const items = plan.items;
+        const points = items.flatMap(item => [...item.outline, ...(item.base ?? []), ...(item.clamp?.outline ?? [])]);
+        const all = this.extent([...outline, ...points]);
+        const dims = [];
+
+        // 책상 전체 너비(앞쪽) / 깊이(왼쪽)
+        const [leftmost, rightmost] = [this.extremePoint(outline, 'left'), this.extremePoint(outline, 'right')];
+        dims.push({ axis: 'x', from: left, to: right, at: all.maxZ + gap, refs: [leftmost, rightmost] });
+        dims.push({ axis: 'z', from: back, to: front, at: all.minX - gap, refs: [this.extremePoint(outline, 'back'), this.extremePoint(outline, 'front')] });
+
+        // 모니터별 (모니터 가운데에서 잰) 책상 뒤/앞 가장자리까지 거리. 같은 위치에 쌓인 모니터는 한 번만,
+        // 가로 위치가 겹치는 모니터는 치수선을 옆으로 비켜 그림
+        const seen = new Map(); // 치수선 x -> 모니터 앞뒤 위치
+        items.forEach(item => {
+            const key = [item.extent.minZ, item.extent.maxZ].map(v => Math.round(v)).join();
+            const center = (item.extent.minX + item.extent.maxX) / 2;
+            let x = center;
+            if ([...seen].some(([at, other]) => Math.abs(at - x) < 1 && other === key)) return;
+            while ([...seen.keys()].some(at => Math.abs(at - x) < gap)) x += gap;
+            seen.set(x, key);
+            dims.push({ axis: 'z', from: DeskShape.edgeAt(outline, center, 'back') ?? back, to: item.extent.minZ, at: x });
+            dims.push({ axis: 'z', from: item.extent.maxZ, to: DeskShape.edgeAt(outline, center, 'front') ?? front, at: x });
+        });
+
+        // 책상 뒤쪽: 모니터 사이 간격 → 전체 폭 → 암 클램프 위치(책상 왼쪽 가장자리 기준)
+        let level = all.minZ - gap;
+        const sorted = [...items].sort((a, b) => a.extent.minX - b.extent.minX);
+        let previous = null;
+        sorted.forEach(item => {
+            if (previous && item.extent.minX > previous.extent.maxX + 0.5) {
+                dims.push({
+                    axis: 'x', from: previous.extent.maxX, to: item.extent.minX, at: level,
+                    refs: [this.extremePoint(previous.outline, 'right'), this.extremePoint(item.outline, 'left')]
+                });
+            }
+            if (!previous || item.extent.maxX > previous.extent.maxX) previous = item;
+        });
+
+        if (items.length > 0) {
+            const first = sorted[0];
+            const last = sorted.reduce((best, item) => item.extent.maxX > best.extent.maxX ? item : best, sorted[0]);
+            level -= gap;
+            dims.push({
+                axis: 'x', from: first.extent.minX, to: last.extent.maxX, at: level,
+                refs: [this.extremePoint(first.outline, 'left'), this.extremePoint(last.outline, 'right')]
+            });
+        }
+
+        items.filter(item => item.clamp).sort((a, b) => a.clamp.x - b.clamp.x).forEach(item => {
+            level -= gap;
+            dims.push({ axis: 'x', from: left, to: item.clamp.x, at: level, refs: [leftmost, item.clamp] });
+        });
+
+        return dims;
+    }
+
+    // 평면도 SVG 요소. overlay = true면 3D 화면 위에 겹칠 용도 (채우기 없음)
+    // 반환값: { content, bounds: { x, y, width, height } }
+    static render(plan, unit, { overlay = false, format = v => `${Math.round(v)}` } = {}) {
+        const s = this.STYLE;
+        const c = this.COLORS;
+        const n = v => +v.toFixed(2);
+        const line = (a, b) => `M${n(a.x)} ${n(a.z)}L${n(b.x)} ${n(b.z)}`;
+        const polygon = (points, color, fill, dashed = false) => `<polygon points="${points.map(p => `${n(p.x)},${n(p.z)}`).join(' ')}" fill="${overlay ? 'none' : fill}" stroke="${color}" stroke-width="${n(s.line * unit)}"${dashed ? ` stroke-dasharray="${n(4 * unit)} ${n(3 * unit)}"` : ''}/>`;
+        const text = (x, z, value, color, rotate = false) => `<text x="${n(x)}" y="${n(z)}" fill="${color}" font-size="${n(s.font * unit)}" text-anchor="middle"${rotate ? ` transform="rotate(-90 ${n(x)} ${n(z)})"` : ''}${overlay ? ` stroke="#202020" stroke-width="${n(3 * unit)}" paint-order="stroke"` : ''}>${escapeHtml(value)}</text>`;
+
+        const desk = plan.desk.outline;
+        const walls = plan.walls.map(r => [{ x: r.minX, z: r.minZ }, { x: r.maxX, z: r.minZ }, { x: r.maxX, z: r.maxZ }, { x: r.minX, z: r.maxZ }]);
+        const shapes = [...walls.map(wall => polygon(wall, c.wall, '#d8d8d8')), polygon(desk, c.desk, '#f4f1ea')];
+        const labels = [];
+
+        plan.items.forEach(item => {
+            if (item.base) shapes.push(polygon(item.base, c.mount, '#e2e2e2', true));
+            if (item.clamp) {
+                shapes.push(polygon(item.clamp.outline, c.mount, '#e2e2e2'));
+                // 클램프 중심 표시 (드릴/고정 위치)
+                const r = s.tick * unit;
+                shapes.push(`<path d="${line({ x: item.clamp.x - r, z: item.clamp.z }, { x: item.clamp.x + r, z: item.clamp.z })}${line({ x: item.clamp.x, z: item.clamp.z - r }, { x: item.clamp.x, z: item.clamp.z + r })}" stroke="${c.mount}" stroke-width="${n(s.thin * unit)}"/>`);
+            }
+            shapes.push(polygon(item.outline, c.monitor, '#cfd8e3'));
+            const { minX, maxX, minZ, maxZ } = item.extent;
+            labels.push(text((minX + maxX) / 2, (minZ + maxZ) / 2 + s.font * unit * 0.35, item.name, overlay ? '#ffffff' : c.monitor));
+        });
+
+        // 치수선: 보조선 + 치수선 + 양 끝 사선 표시 + 값
+        const paths = [];
+        const bounds = this.extent([...desk, ...walls.flat()]);
+        const grow = (x, z) => {
+            bounds.minX = Math.min(bounds.minX, x); bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.minZ = Math.min(bounds.minZ, z); bounds.maxZ = Math.max(bounds.maxZ, z);
+        };
+        plan.items.forEach(item => [...item.outline, ...(item.base ?? []), ...(item.clamp?.outline ?? [])].forEach(p => grow(p.x, p.z)));
+
+        this.dimensions(plan, unit).forEach(dim => {
+            if (Math.abs(dim.to - dim.from) < 0.5) return;
+            const isX = dim.axis === 'x';
+            const point = (along, across) => isX ? { x: along, z: across } : { x: across, z: along };
+            const ends = [point(dim.from, dim.at), point(dim.to, dim.at)];
+            let d = line(ends[0], ends[1]);
+
+            (dim.refs ?? []).forEach((ref, i) => {
+                const end = ends[i];
+                const across = isX ? end.z - ref.z : end.x - ref.x;
+                const over = Math.sign(across) * s.extension * unit;
+                d += line(ref, isX ? { x: end.x, z: end.z + over } : { x: end.x + over, z: end.z });
+            });
+
+            const t = s.tick * unit / 2;
+            ends.forEach(end => { d += line({ x: end.x - t, z: end.z + t }, { x: end.x + t, z: end.z - t }); });
+            paths.push(d);
+
+            const mid = (dim.from + dim.to) / 2;
+            const offset = dim.at - s.font * unit * 0.4; // 치수선 위쪽(세로 치수는 왼쪽)에 값 표시
+            const at = isX ? { x: mid, z: offset } : { x: offset, z: mid };
+            labels.push(text(at.x, at.z, format(dim.to - dim.from), c.dimension, !isX));
+            ends.forEach(end => grow(end.x, end.z));
+            grow(at.x - (isX ? 0 : s.font * unit), at.z - (isX ? s.font * unit : 0));
+        });
+
+        const content = [
+            ...shapes,
+            `<path d="${paths.join('')}" fill="none" stroke="${c.dimension}" stroke-width="${n(s.thin * unit)}"/>`,
+            ...labels
+        ].join('\n');
+
+        const pad = s.font * unit;
+        return {
+            content,
+            bounds: {
+                x: bounds.minX - pad, y: bounds.minZ - pad,
+                width: bounds.maxX - bounds.minX + pad * 2, height: bounds.maxZ - bounds.minZ + pad * 2
+            }
+        };
+    }
+
+    // 실척(1:1) SVG. 좌표와 크기 모두 mm
+    static toSvg(plan, format) {
+        const { content, bounds } = this.render(plan, this.EXPORT_UNIT, { format });
+        const n = v => +v.toFixed(2);
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${n(bounds.width)}mm" height="${n(bounds.height)}mm" viewBox="${n(bounds.x)} ${n(bounds.y)} ${n(bounds.width)} ${n(bounds.height)}" font-family="sans-serif">
+<rect x="${n(bounds.x)}" y="${n(bounds.y)}" width="${n(bounds.width)}" height="${n(bounds.height)}" fill="#ffffff"/>
+${content}
+</svg>
+`;
+    }
+
+    // 용지 크기 SVG. 도면이 들어가는 가장 큰 표준 축척(1:N)을 골라 하단에 제목/축척 표시
+    static toPrintSvg(plan, paperId, title, format, unitLabel = 'mm') {
+        const paper = this.PAPERS[paperId] ?? this.PAPERS.a4;
+        const margin = this.PAPER_MARGIN;
+        const titleHeight = 8;
+        const areaW = paper.width - margin * 2;
+        const areaH = paper.height - margin * 2 - titleHeight;
+
+        let scale = this.SCALES[this.SCALES.length - 1];
+        let drawing = null;
+        for (const candidate of this.SCALES) {
+            const result = this.render(plan, candidate * this.PRINT_UNIT, { format });
+            if (result.bounds.width / candidate <= areaW && result.bounds.height / candidate <= areaH) {
+                scale = candidate;
+                drawing = result;
+                break;
+            }
+        }
+        drawing = drawing ?? this.render(plan, scale * this.PRINT_UNIT, { format });
+
+        const n = v => +v.toFixed(3);
+        const { bounds } = drawing;
+        const x = margin + (areaW - bounds.width / scale) / 2 - bounds.x / scale;
+        const y = margin + (areaH - bounds.height / scale) / 2 - bounds.y / scale;
+        const caption = `${title} · 1:${scale} · ${paperId.toUpperCase()} · ${unitLabel}`;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${paper.width}mm" height="${paper.height}mm" viewBox="0 0 ${paper.width} ${paper.height}" font-family="sans-serif">
+<rect x="0" y="0" width="${paper.width}" height="${paper.height}" fill="#ffffff"/>
+<rect x="${margin / 2}" y="${margin / 2}" width="${paper.width - margin}" height="${paper.height - margin}" fill="none" stroke="#333333" stroke-width="0.35"/>
+<g transform="translate(${n(x)} ${n(y)}) scale(${n(1 / scale)})">
+${drawing.content}
+</g>
+<text x="${margin}" y="${paper.height - margin}" font-size="3.5" fill="#333333">${escapeHtml(caption)}</text>
+</svg>
+`;
+    }
+}
+
+// ==========================================
+// 17. Measurement: Two-point dimension lines
+// ==========================================
+// 측정점 { monitorId, x, y, z }: monitorId가 있으면 그 모니터(또는 주변기기)의 로컬 좌표 (옮기면 따라감),
+// null이면 월드 좌표 (책상 등). 단위 mm
+class Measurement {
+    static SNAP_PX = 14; // 화면에서 이 거리(px) 안의 스냅 지점에 붙음
+
+    // 모니터 로컬 스냅 지점: 화면 / 베젤 바깥 / 뒷면 각각의 모서리, 변 중점, 중심
+    static monitorPoints(size) {
+        const { width, height, bezel, depth, radius } = size;
+        // 화면 표면 기준 가로 위치 x에서 d만큼 뒤쪽 (곡면은 호를 따라감)
+        const surface = (x, y, d) => {
+            if (!radius) return new THREE.Vector3(x, y, -d);
+            const phi = x / radius;
+            return new THREE.Vector3((radius + d) * Math.sin(phi), y, radius - (radius + d) * Math.cos(phi));
+        };
+        const grid = (left, right, bottom, top, d) => [left, (left + right) / 2, right].flatMap(x =>
+            [bottom, (bottom + top) / 2, top].map(y => surface(x, y, d))
+        );
+        const outer = [-width / 2 - bezel.left, width / 2 + bezel.right, -height / 2 - bezel.bottom, height / 2 + bezel.top];
+        return [
+            ...grid(-width / 2, width / 2, -height / 2, height / 2, 0),
+            ...grid(...outer, 0),
+            ...grid(...outer, depth)
+        ];
+    }
+
+    // 주변기기 로컬 스냅 지점: 부품 박스(collisionVolumes)마다 꼭짓점과 면 중심
+    static itemPoints(volumes) {
+        const points = [];
+        volumes.forEach(obb => {
+            for (const sx of [-1, 0, 1]) for (const sy of [-1, 0, 1]) for (const sz of [-1, 0, 1]) {
+                const zeros = [sx, sy, sz].filter(v => v === 0).length;
+                if (zeros !== 0 && zeros !== 2) continue;
+                points.push(new THREE.Vector3(sx * obb.halfSize.x, sy * obb.halfSize.y, sz * obb.halfSize.z).applyMatrix3(obb.rotation).add(obb.center));
+            }
+        });
+        return points;
+    }
+
+    // 책상 상판 꼭짓점과 (둥근 모서리 조각이 아닌) 변의 중점 (월드)
+    static deskPoints(deskSize) {
+        const points = deskSize.outline;
+        return points.flatMap((a, i) => {
+            const b = points[(i + 1) % points.length];
+            const out = [new THREE.Vector3(a.x, 0, a.z)];
+            if (Math.hypot(b.x - a.x, b.z - a.z) > 100) out.push(new THREE.Vector3((a.x + b.x) / 2, 0, (a.z + b.z) / 2));
+            return out;
+        });
+    }
+
+    // 화면에서 마우스(NDC) SNAP_PX 안에 보이는 후보 중 레이가 맞은 점과 가장 가까운 것
+    // (앞면/뒷면 모서리처럼 화면상 겹치는 후보는 실제로 클릭한 면 쪽을 고름). 없으면 null
+    static snap(candidates, camera, mouse, rect, hitPoint) {
+        let best = null;
+        let bestDistance = Infinity;
+        candidates.forEach(point => {
+            const p = point.clone().project(camera);
+            const pixels = Math.hypot((p.x - mouse.x) * rect.width / 2, (p.y - mouse.y) * rect.height / 2);
+            const distance = point.distanceTo(hitPoint);
+            if (p.z < 1 && pixels < this.SNAP_PX && distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // 반환값: { distance, dx, dy, dz } (절댓값)
+    static measure(a, b) {
+        return {
+            distance: a.distanceTo(b),
+            dx: Math.abs(b.x - a.x),
+            dy: Math.abs(b.y - a.y),
+            dz: Math.abs(b.z - a.z)
+        };
+    }
+
+    // 항상 같은 화면 크기로 보이도록 SceneManager가 매 프레임 scale을 조정하는 라벨
+    static createLabel(text) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        const font = 'bold 40px "Pretendard", sans-serif';
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(text).width) + 24;
+        canvas.height = 56;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = font;
+        ctx.fillStyle = '#ffd400';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+        sprite.renderOrder = 1000;
+        sprite.userData.aspect = canvas.width / canvas.height;
+        sprite.userData.text = text; // 같은 글자면 다시 그리지 않도록
+        return sprite;
+    }
+}
+
+// ==========================================
+// 18. DeskShape: Desk outline, legs and walls
+// ==========================================
+// 상판 윤곽은 바닥 평면 (x, z) 다각형. 주 상판(width × depth)의 중심이 원점, 앞쪽 = +z.
+// L자/코너형은 주 상판 한쪽 끝에 앞으로 뻗은 보조 상판이 붙고, 코너형은 안쪽 모서리를 사선으로 채움
+class DeskShape {
+    static SHAPES = ['rect', 'l', 'corner', 'custom'];
+    static FRONTS = ['straight', 'cutout', 'curved'];
+    static ARC_STEP = Math.PI / 16; // 둥근 모서리/곡선 앞면 분할 각도
+    static LEG_SIZE = 50; // mm, 다리 단면
+    static LEG_INSET = 60; // mm, 상판 모서리 ~ 다리 중심
+    static WALL_THICKNESS = 100;
+    static WALL_MARGIN = 1000; // mm, 벽이 책상 양옆/앞으로 더 뻗는 길이
+
+    // 둥근 모서리/앞면 가공 전 다각형
+    static basePoints(desk) {
+        if (desk.shape === 'custom' && desk.polygon.length >= 3) return desk.polygon.map(p => ({ x: p.x, z: p.z }));
+
+        const { width: w, depth: d } = desk;
+        if (desk.shape !== 'l' && desk.shape !== 'corner') {
+            return [{ x: -w / 2, z: -d / 2 }, { x: w / 2, z: -d / 2 }, { x: w / 2, z: d / 2 }, { x: -w / 2, z: d / 2 }];
+        }
+
+        // 오른쪽 보조 상판으로 만든 뒤 왼쪽이면 좌우 반전
+        const inner = w / 2 - Math.min(desk.returnWidth, w);
+        const end = -d / 2 + Math.max(desk.returnLength, d);
+        const points = [{ x: -w / 2, z: -d / 2 }, { x: w / 2, z: -d / 2 }, { x: w / 2, z: end }, { x: inner, z: end }];
+        if (desk.shape === 'corner') {
+            const cut = Math.min(end - d / 2, inner + w / 2);
+            points.push({ x: inner, z: d / 2 + cut }, { x: inner - cut, z: d / 2 });
+        } else {
+            points.push({ x: inner, z: d / 2 });
+        }
+        points.push({ x: -w / 2, z: d / 2 });
+
+        const unique = points.filter((p, i) => {
+            const prev = points[(i + points.length - 1) % points.length];
+            return Math.hypot(p.x - prev.x, p.z - prev.z) > 0.5;
+        });
+        return desk.returnSide === 'left' ? unique.map(p => ({ x: -p.x, z: p.z })).reverse() : unique;
+    }
+
+    static outline(desk) {
+        return this.roundCorners(this.withFront(this.basePoints(desk), desk), desk.cornerRadius);
+    }
+
+    // 주 상판 앞 가장자리(z = depth / 2) 가운데에 홈 또는 안쪽으로 들어간 원호
+    static withFront(points, desk) {
+        if (desk.front === 'straight' || desk.shape === 'custom') return points;
+
+        const z = desk.depth / 2;
+        const n = points.length;
+        let index = -1;
+        let length = 0;
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % n];
+            if (Math.abs(a.z - z) < 0.5 && Math.abs(b.z - z) < 0.5 && Math.abs(b.x - a.x) > length) {
+                index = i;
+                length = Math.abs(b.x - a.x);
+            }
+        });
+        if (index < 0) return points;
+
+        const a = points[index];
+        const b = points[(index + 1) % n];
+        const dir = Math.sign(b.x - a.x);
+        const center = (a.x + b.x) / 2;
+        const half = Math.min(desk.frontWidth, length - 2) / 2;
+        if (half <= 0 || desk.frontDepth <= 0) return points;
+        let feature;
+        if (desk.front === 'cutout') {
+            const depth = Math.min(desk.frontDepth, desk.depth - 1);
+            feature = [
+                { x: center - dir * half, z }, { x: center - dir * half, z: z - depth },
+                { x: center + dir * half, z: z - depth }, { x: center + dir * half, z }
+            ];
+        } else {
+            // 현(폭) 양 끝과 가운데 깊이를 지나는 원호. 반원보다 깊게는 파지 않음
+            const depth = Math.min(desk.frontDepth, half, desk.depth - 1);
+            const radius = (half * half + depth * depth) / (2 * depth);
+            const angle = Math.asin(half / radius);
+            const segments = Math.max(2, Math.ceil(2 * angle / this.ARC_STEP));
+            feature = Array.from({ length: segments + 1 }, (_, k) => {
+                const beta = dir * (-angle + 2 * angle * k / segments);
+                return { x: center + radius * Math.sin(beta), z: z - depth + radius - radius * Math.cos(beta) };
+            });
+        }
+        return [...points.slice(0, index + 1), ...feature, ...points.slice(index + 1)];
+    }
+
+    // 각 꼭짓점을 반지름 radius의 원호로 (이웃 변 길이의 절반까지만). 원호를 나눈 점은 그대로 둠
+    static roundCorners(points, radius) {
+        if (!(radius > 0)) return points;
+        const n = points.length;
+        return points.flatMap((p, i) => {
+            const prev = points[(i + n - 1) % n];
+            const next = points[(i + 1) % n];
+            const l1 = Math.hypot(prev.x - p.x, prev.z - p.z);
+            const l2 = Math.hypot(next.x - p.x, next.z - p.z);
+            if (l1 < 1e-6 || l2 < 1e-6) return [p];
+            const u1 = { x: (prev.x - p.x) / l1, z: (prev.z - p.z) / l1 };
+            const u2 = { x: (next.x - p.x) / l2, z: (next.z - p.z) / l2 };
+            const angle = Math.acos(THREE.MathUtils.clamp(u1.x * u2.x + u1.z * u2.z, -1, 1));
+            if (angle < 1e-3 || Math.PI - angle <= this.ARC_STEP + 1e-6) return [p];
+
+            const tangent = Math.min(radius / Math.tan(angle / 2), l1 / 2, l2 / 2);
+            const r = tangent * Math.tan(angle / 2);
+            const bisector = { x: u1.x + u2.x, z: u1.z + u2.z };
+            const bl = Math.hypot(bisector.x, bisector.z);
+            const dist = r / Math.sin(angle / 2);
+            const c = { x: p.x + bisector.x / bl * dist, z: p.z + bisector.z / bl * dist };
+            const start = Math.atan2(p.z + u1.z * tangent - c.z, p.x + u1.x * tangent - c.x);
+            const end = Math.atan2(p.z + u2.z * tangent - c.z, p.x + u2.x * tangent - c.x);
+            let sweep = end - start;
+            if (sweep > Math.PI) sweep -= Math.PI * 2;
+            if (sweep < -Math.PI) sweep += Math.PI * 2;
+            const steps = Math.max(1, Math.ceil(Math.abs(sweep) / this.ARC_STEP));
+            return Array.from({ length: steps + 1 }, (_, k) => {
+                const a = start + sweep * k / steps;
+                return { x: c.x + r * Math.cos(a), z: c.z + r * Math.sin(a) };
+            });
+        });
+    }
+
+    // tolerance 안쪽으로 가장자리에 닿은 점도 포함
+    static contains(points, x, z, tolerance = 0) {
+        let inside = false;
+        const n = points.length;
+        for (let i = 0, j = n - 1; i < n; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) inside = !inside;
+        }
+        if (inside || tolerance <= 0) return inside;
+        return points.some((a, i) => {
+            const b = points[(i + 1) % n];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const t = THREE.MathUtils.clamp(((x - a.x) * dx + (z - a.z) * dz) / (dx * dx + dz * dz || 1), 0, 1);
+            return Math.hypot(a.x + dx * t - x, a.z + dz * t - z) <= tolerance;
+        });
+    }
+
+    // 세로선 x가 윤곽과 만나는 가장 뒤(side = 'back') 또는 가장 앞('front')의 z. 없으면 null
+    static edgeAt(points, x, side) {
+        const hits = [];
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            if ((a.x <= x && b.x >= x) || (b.x <= x && a.x >= x)) {
+                hits.push(a.x === b.x ? (side === 'back' ? Math.min(a.z, b.z) : Math.max(a.z, b.z)) : a.z + (b.z - a.z) * (x - a.x) / (b.x - a.x));
+            }
+        });
+        if (hits.length === 0) return null;
+        return side === 'back' ? Math.min(...hits) : Math.max(...hits);
+    }
+
+    // 볼록한 꼭짓점마다 안쪽으로 LEG_INSET 들어간 다리 위치
+    static legPositions(points) {
+        const n = points.length;
+        const area = points.reduce((sum, a, i) => {
+            const b = points[(i + 1) % n];
+            return sum + a.x * b.z - b.x * a.z;
+        }, 0);
+        return points.flatMap((p, i) => {
+            const prev = points[(i + n - 1) % n];
+            const next = points[(i + 1) % n];
+            const cross = (p.x - prev.x) * (next.z - p.z) - (p.z - prev.z) * (next.x - p.x);
+            if (cross * area <= 0) return [];
+            const l1 = Math.hypot(prev.x - p.x, prev.z - p.z);
+            const l2 = Math.hypot(next.x - p.x, next.z - p.z);
+            const inset = Math.min(this.LEG_INSET, l1 / 2, l2 / 2);
+            return [{
+                x: p.x + (prev.x - p.x) / l1 * inset + (next.x - p.x) / l2 * inset,
+                z: p.z + (prev.z - p.z) / l1 * inset + (next.z - p.z) / l2 * inset
+            }];
+        });
+    }
+
+    // 켜진 벽의 안쪽 면. 모니터는 sign * (좌표 - at) >= 0 쪽에 있어야 함
+    static wallPlanes(extent, walls) {
+        const planes = [];
+        if (walls.back.enabled) planes.push({ side: 'back', axis: 'z', at: extent.minZ - walls.back.distance, sign: 1 });
+        if (walls.left.enabled) planes.push({ side: 'left', axis: 'x', at: extent.minX - walls.left.distance, sign: 1 });
+        if (walls.right.enabled) planes.push({ side: 'right', axis: 'x', at: extent.maxX + walls.right.distance, sign: -1 });
+        return planes;
+    }
+
+    // 벽 평면 범위 (x, z). 서로 맞닿는 벽은 모서리까지, 나머지는 WALL_MARGIN만큼 더 뻗음
+    static wallRects(extent, planes) {
+        const t = this.WALL_THICKNESS;
+        const m = this.WALL_MARGIN;
+        const find = (side) => planes.find(p => p.side === side);
+        const minX = find('left') ? find('left').at - t : extent.minX - m;
+        const maxX = find('right') ? find('right').at + t : extent.maxX + m;
+        const minZ = find('back') ? find('back').at - t : extent.minZ - m;
+        const maxZ = extent.maxZ + m;
+        return planes.map(plane => {
+            if (plane.side === 'back') return { side: plane.side, minX, maxX, minZ: plane.at - t, maxZ: plane.at };
+            const x = plane.side === 'left' ? { minX: plane.at - t, maxX: plane.at } : { minX: plane.at, maxX: plane.at + t };
+            return { side: plane.side, ...x, minZ, maxZ };
+        });
+    }
+}
+
+// ==========================================
+// 19. PeripheralFactory: Desk item meshes
+// ==========================================
+// 그룹 원점 = 바닥면 중심 (책상 위에 두면 y = 0), 앞쪽 = +z. 크기는 width(x) × depth(z) × height(y)
+class PeripheralFactory {
+    // 흔한 제품 기준 크기 (mm)
+    static TYPES = {
+        keyboard: { label: 'Keyboard', width: 440, depth: 135, height: 35, color: 0x2b2b2b },
+        mousepad: { label: 'Mouse pad', width: 900, depth: 400, height: 3, color: 0x1d2a3a },
+        laptop: { label: 'Laptop', width: 313, depth: 221, height: 16, color: 0x9a9ca0 },
+        speaker: { label: 'Speaker', width: 110, depth: 150, height: 180, color: 0x222222 },
+        lamp: { label: 'Desk lamp', width: 160, depth: 160, height: 450, color: 0xcccccc },
+        webcam: { label: 'Webcam', width: 95, depth: 25, height: 30, color: 0x111111 },
+        tower: { label: 'PC tower', width: 215, depth: 450, height: 465, color: 0x1a1a1a },
+        box: { label: 'Box', width: 200, depth: 200, height: 200, color: 0x8a6d4b }
+    };
+    static SCREEN_ANGLE = 110; // degree, 열린 노트북 화면과 본체 사이 각도
+
+    static createPeripheral(config) {
+        const { id, type, locked } = config;
+        const { width, depth, height } = config.size;
+        const material = new THREE.MeshLambertMaterial({ color: this.TYPES[type].color });
+        const group = new THREE.Group();
+        const part = (name, geometry, x, y, z, parent = group) => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.name = name; // 3D 모델 내보내기에서 부품 이름
+            mesh.position.set(x, y, z);
+            parent.add(mesh);
+            return mesh;
+        };
+
+        if (type === 'laptop') {
+            // 본체 60%, 화면 40% 두께. 열면 화면이 뒤쪽 경첩을 축으로 섬
+            const baseHeight = height * 0.6;
+            const lidThickness = height - baseHeight;
+            part('base', new THREE.BoxGeometry(width, baseHeight, depth), 0, baseHeight / 2, 0);
+            const hinge = new THREE.Group();
+            hinge.name = 'hinge';
+            hinge.position.set(0, baseHeight, -depth / 2);
+            group.add(hinge);
+            if (config.open) {
+                hinge.rotation.x = -THREE.MathUtils.degToRad(this.SCREEN_ANGLE - 90);
+                part('lid', new THREE.BoxGeometry(width, depth, lidThickness), 0, depth / 2, -lidThickness / 2, hinge);
+            } else {
+                part('lid', new THREE.BoxGeometry(width, lidThickness, depth), 0, lidThickness / 2, depth / 2, hinge);
+            }
+        } else if (type === 'lamp') {
+            // 받침 + 기둥 + 앞으로 숙인 갓
+            const radius = Math.min(width, depth) / 2;
+            const baseHeight = Math.min(20, height * 0.1);
+            const headHeight = Math.min(60, height * 0.2);
+            part('base', new THREE.CylinderGeometry(radius, radius, baseHeight, 24), 0, baseHeight / 2, 0);
+            const poleHeight = height - baseHeight - headHeight;
+            part('pole', new THREE.CylinderGeometry(8, 8, poleHeight, 12), 0, baseHeight + poleHeight / 2, 0);
+            part('shade', new THREE.CylinderGeometry(radius * 0.3, radius * 0.6, headHeight, 24), 0, height - headHeight / 2, radius * 0.3);
+        } else {
+            part('body', new THREE.BoxGeometry(width, height, depth), 0, height / 2, 0);
+        }
+
+        group.userData = {
+            id,
+            type,
+            isPeripheral: true,
+            locked: !!locked,
+            material,
+            // 책상 매트처럼 다른 물건을 올려 두는 판은 충돌 검사에서 제외
+            surface: type === 'mousepad',
+            collisionVolumes: this.createCollisionVolumes(group)
+        };
+        return group;
+    }
+
+    // 각 부품 메쉬의 바운딩 박스를 그룹 로컬 OBB로 (부품은 회전만 있고 스케일 없음)
+    static createCollisionVolumes(group) {
+        group.updateMatrixWorld(true);
+        const volumes = [];
+        group.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry.computeBoundingBox();
+            const box = child.geometry.boundingBox;
+            volumes.push(new OBB(
+                box.getCenter(new THREE.Vector3()).applyMatrix4(child.matrixWorld),
+                box.getSize(new THREE.Vector3()).multiplyScalar(0.5),
+                new THREE.Matrix3().setFromMatrix4(child.matrixWorld)
+            ));
+        });
+        return volumes;
+    }
+}
+
+// ==========================================
+// 20. ImageExport: Offscreen PNG / turntable helpers
+// ==========================================
+// 렌더링은 SceneManager.renderImages. 여기서는 시점 계산, PNG 변환, 턴테이블 프레임 묶음(ZIP)만 담당
+class ImageExport {
+    static RESOLUTIONS = {
+        fhd: [1920, 1080],
+        qhd: [2560, 1440],
+        uhd: [3840, 2160],
+        '8k': [7680, 4320]
+    };
+    static MIN_SIZE = 16;
+    static MAX_SIZE = 8192; // 대부분의 GPU가 지원하는 최대 텍스처 크기
+    static MAX_FRAMES = 120;
+
+    // 타깃을 중심으로 수평 한 바퀴 (높이, 수평 거리 유지). 마지막 프레임은 시작과 겹치지 않음
+    static orbitViews(view, frames) {
+        const offset = view.position.clone().sub(view.target);
+        const axis = new THREE.Vector3(0, 1, 0);
+        return Array.from({ length: frames }, (_, i) => ({
+            position: offset.clone().applyAxisAngle(axis, (i / frames) * Math.PI * 2).add(view.target),
+            target: view.target.clone()
+        }));
+    }
+
+    static toPng(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG.')), 'image/png');
+        });
+    }
+
+    static loadSvg(svg) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        return new Promise((resolve, reject) => {
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not draw dimension labels.'));
+            image.src = url;
+        }).finally(() => URL.revokeObjectURL(url));
+    }
+
+    static CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    static crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // 압축 없는(STORE) ZIP. PNG는 이미 압축되어 있으므로 충분. files: [{ name, bytes: Uint8Array }]
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(({ name, bytes }) => {
+            const fileName = encoder.encode(name);
+            const crc = this.crc32(bytes);
+            const header = (size, signature) => {
+                const view = new DataView(new ArrayBuffer(size));
+                view.setUint32(0, signature, true);
+                return view;
+            };
+            // 공통 필드: 버전 20, 플래그 0, STORE, 시각 0, 날짜 1980-01-01, CRC, 크기 x2, 이름 길이
+            const common = (view, at) => {
+                view.setUint16(at, 20, true);
+                view.setUint16(at + 2, 0, true);
+                view.setUint16(at + 4, 0, true);
+                view.setUint16(at + 6, 0, true);
+                view.setUint16(at + 8, 0x21, true);
+                view.setUint32(at + 10, crc, true);
+                view.setUint32(at + 14, bytes.length, true);
+                view.setUint32(at + 18, bytes.length, true);
+                view.setUint16(at + 22, fileName.length, true);
+            };
+
+            const local = header(30, 0x04034b50);
+            common(local, 4);
+            parts.push(local, fileName, bytes);
+
+            const entry = header(46, 0x02014b50);
+            entry.setUint16(4, 20, true);
+            common(entry, 6);
+            entry.setUint32(42, offset, true);
+            central.push(entry, fileName);
+
+            offset += 30 + fileName.length + bytes.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+// ==========================================
+// 21. SceneExport: glTF / GLB / OBJ 3D model export
+// ==========================================
+// 책상, 다리, 벽, 모니터 그룹(+거치대), 주변기기만 복사한 장면을 만든다. 기즈모/보조선/조명/격자는 제외.
+// 좌표는 mm 그대로이고 바닥이 y = 0. glTF는 단위가 m로 정해져 있으므로 최상위 노드에만 0.001 배율을 둔다.
+class SceneExport {
+    static FORMATS = ['glb', 'gltf', 'obj'];
+
+    // names: Map(id -> 이름). 반환: 최상위 Group (mm)
+    static build(sceneManager, names) {
+        const { deskMesh, deskBase, wallGroup, monitors, mounts, peripherals, deskSize } = sceneManager;
+        const root = new THREE.Group();
+        root.name = 'Desk setup';
+        root.position.y = deskSize.height;
+
+        root.add(this.copy(deskMesh, 'Desk'));
+        deskBase.children.filter(c => c.isMesh).forEach((leg, i) => root.add(this.copy(leg, `Desk leg ${i + 1}`)));
+        wallGroup.children.forEach((wall, i) => root.add(this.copy(wall, `Wall ${i + 1}`)));
+
+        monitors.forEach(monitor => {
+            const name = names.get(monitor.userData.id) ?? `Monitor ${monitor.userData.id}`;
+            root.add(this.copy(monitor, name));
+            const mount = mounts.get(monitor.userData.id);
+            if (mount) root.add(this.copy(mount, `${name} ${mount.userData.type}`));
+        });
+        peripherals.forEach(item => {
+            root.add(this.copy(item, names.get(item.userData.id) ?? `${item.userData.type} ${item.userData.id}`));
+        });
+
+        root.updateMatrixWorld(true);
+        return root;
+    }
+
+    // Object3D.clone()은 userData(OBB, 메시 참조)까지 복사하므로 변환/형상/재질만 새로 만든다.
+    // 자식 이름: 모니터 본체/화면, 거치대 부품 이름, 원래 이름(주변기기 부품), 그 외는 번호
+    static copy(source, name) {
+        const parts = new Map(Object.entries(source.userData.parts ?? {}).map(([key, mesh]) => [mesh, key]));
+        let index = 0;
+        const meshCount = source.isMesh ? 1 : this.countMeshes(source);
+
+        const visit = (object, objectName) => {
+            const copy = object.isMesh ? this.copyMesh(object) : new THREE.Group();
+            copy.name = objectName;
+            copy.position.copy(object.position);
+            copy.quaternion.copy(object.quaternion);
+            copy.scale.copy(object.scale);
+            object.children.forEach(child => {
+                if (!child.isMesh && this.countMeshes(child) === 0) return;
+                let part = child.name || 'group';
+                if (child.isMesh) {
+                    index += 1;
+                    part = child === source.userData.body ? 'body'
+                        : child.material.map ? 'screen'
+                        : parts.get(child) ?? (child.name || `part ${index}`);
+                }
+                copy.add(visit(child, child.isMesh && meshCount === 1 ? name : `${name} ${part}`));
+            });
+            return copy;
+        };
+        return visit(source, name);
+    }
+
+    static countMeshes(object) {
+        let count = 0;
+        object.traverse(o => { if (o.isMesh && o !== object) count += 1; });
+        return count;
+    }
+
+    // 화면 텍스처의 repeat/center(곡면은 좌우 반전)를 UV에 적용해 두면 OBJ/glTF 모두 그대로 읽힌다.
+    // 충돌 강조(emissive)는 빼고 PBR 재질로 바꿈
+    static copyMesh(mesh) {
+        const source = mesh.material;
+        let geometry = mesh.geometry;
+        let map = null;
+        if (source.map) {
+            if (source.map.matrixAutoUpdate) source.map.updateMatrix(); // 화면 콘텐츠는 행렬을 직접 지정
+            geometry = geometry.clone();
+            geometry.attributes.uv?.applyMatrix3(source.map.matrix);
+            map = new THREE.CanvasTexture(this.toCanvas(source.map.image));
+            map.colorSpace = source.map.colorSpace;
+            map.name = mesh.name;
+        }
+        const material = new THREE.MeshStandardMaterial({
+            color: source.color,
+            map,
+            emissive: map ? 0xffffff : 0x000000,
+            emissiveMap: map,
+            emissiveIntensity: map ? source.emissiveIntensity : 1,
+            roughness: 0.8,
+            metalness: 0,
+            side: source.side
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+
+    // 이미지/동영상(현재 프레임) 콘텐츠도 PNG로 저장할 수 있도록 캔버스로 복사
+    static toCanvas(image) {
+        if (image instanceof HTMLCanvasElement) return image;
+        const canvas = document.createElement('canvas');
+        canvas.width = image.videoWidth || image.naturalWidth || image.width;
+        canvas.height = image.videoHeight || image.naturalHeight || image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas;
+    }
+
+    static async toGltf(root, binary) {
+        const scene = new THREE.Scene();
+        scene.name = root.name;
+        const meters = new THREE.Group();
+        meters.name = `${root.name} (mm)`;
+        meters.scale.setScalar(0.001);
+        meters.add(root);
+        scene.add(meters);
+
+        const result = await new GLTFExporter().parseAsync(scene, { binary });
+        return binary
+            ? new Blob([result], { type: 'model/gltf-binary' })
+            : new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+    }
+
+    // OBJ + MTL + 화면 PNG를 ZIP 하나로. 재질 이름을 정해 두면 OBJExporter가 usemtl을 써 준다
+    // OBJ는 단위 정보가 없으므로 unit(Units 키) 단위 숫자로 내보내고 파일 첫 줄에 적는다
+    static async toObjArchive(root, baseName, unit = Units.DEFAULT) {
+        const meshes = [];
+        root.traverse(o => { if (o.isMesh) meshes.push(o); });
+        const textures = [];
+        const mtl = [`# ${baseName}`, ''];
+        meshes.forEach((mesh, i) => {
+            const material = mesh.material;
+            material.name = `${mesh.name.replace(/[^\w.-]+/g, '_')}_${i + 1}`;
+            const { r, g, b } = material.color;
+            mtl.push(`newmtl ${material.name}`, `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1');
+            if (material.map) {
+                const file = `textures/${material.name}.png`;
+                textures.push({ file, image: material.map.image });
+                mtl.push(`map_Kd ${file}`);
+            }
+            mtl.push('');
+        });
+
+        const encoder = new TextEncoder();
+        const scaled = new THREE.Group();
+        scaled.scale.setScalar(1 / Units.get(unit).perUnit);
+        scaled.add(root);
+        scaled.updateMatrixWorld(true);
+        const obj = `# Units: ${Units.get(unit).name}, floor at y = 0\nmtllib ${baseName}.mtl\n${new OBJExporter().parse(scaled)}`;
+        const images = await Promise.all(textures.map(async ({ file, image }) => ({
+            name: file,
+            bytes: new Uint8Array(await (await ImageExport.toPng(image)).arrayBuffer())
+        })));
+        return ImageExport.zip([
+            { name: `${baseName}.obj`, bytes: encoder.encode(obj) },
+            { name: `${baseName}.mtl`, bytes: encoder.encode(mtl.join('\n')) },
+            ...images
+        ]);
+    }
+}
+
+// ==========================================
+// 22. ScreenContent: Wallpaper / video preview on screens
+// ==========================================
+// 불러온 이미지/동영상을 화면에 입힌다. 파일은 레이아웃에 저장하지 않는 미리보기 전용.
+// span: 모든 화면을 실제 물리 위치대로 좌우로 펼친 한 장의 평면으로 보고, 각 화면은 자기 영역만 표시.
+// 화면 사이 간격(베젤 + 틈)만큼 콘텐츠가 가려지므로 베젤 보정이 된 상태와 같다.
+class ScreenContent {
+    static MODES = ['span', 'each'];
+
+    // 반환: { kind: 'image' | 'video', name, url, element, width, height }
+    static load(file) {
+        const url = URL.createObjectURL(file);
+        const kind = file.type.startsWith('video/') ? 'video' : 'image';
+        const element = document.createElement(kind === 'video' ? 'video' : 'img');
+
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                const width = element.videoWidth || element.naturalWidth;
+                const height = element.videoHeight || element.naturalHeight;
+                resolve({ kind, name: file.name, url, element, width, height });
+            };
+            element.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Could not read "${file.name}".`));
+            };
+            if (kind === 'video') {
+                Object.assign(element, { muted: true, loop: true, playsInline: true });
+                element.onloadeddata = () => {
+                    element.play().catch(() => {}); // 자동 재생이 막혀도 첫 프레임은 보임
+                    done();
+                };
+            } else {
+                element.onload = done;
+            }
+            element.src = url;
+        });
+    }
+
+    static release(source) {
+        if (!source) return;
+        if (source.kind === 'video') {
+            source.element.pause();
+            source.element.removeAttribute('src');
+            source.element.load();
+        }
+        URL.revokeObjectURL(source.url);
+    }
+
+    // 같은 원본을 쓰는 화면끼리도 UV 변환이 다르므로 화면마다 텍스처 하나 (이미지 데이터는 공유)
+    static createTexture(source) {
+        const texture = source.kind === 'video'
+            ? new THREE.VideoTexture(source.element)
+            : new THREE.Texture(source.element);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.matrixAutoUpdate = false;
+        texture.userData.source = source;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    // 화면 하나를 펼친 평면에 놓기 위한 정보. 가로축 = 눈에서 본 오른쪽에 가까운 로컬 축 (세로 모드면 로컬 y)
+    static frame(monitor, eye) {
+        monitor.updateMatrixWorld(true);
+        const { size, mirroredUv } = monitor.userData;
+        const center = monitor.localToWorld(new THREE.Vector3());
+        const toCenter = center.clone().sub(eye);
+        const right = new THREE.Vector3(-toCenter.z, 0, toCenter.x).normalize();
+        const axisX = new THREE.Vector3(1, 0, 0).transformDirection(monitor.matrixWorld);
+        const axisY = new THREE.Vector3(0, 1, 0).transformDirection(monitor.matrixWorld);
+        const horizontalIsX = Math.abs(axisX.dot(right)) >= Math.abs(axisY.dot(right));
+
+        // 화면 로컬 위치(-1 ~ 1) -> 펼친 평면에서 이 화면 안의 비율(0 ~ 1)
+        const flipH = (horizontalIsX ? axisX : axisY).dot(right) < 0;
+        const flipV = (horizontalIsX ? axisY : axisX).y < 0;
+        const edge = (side) => horizontalIsX
+            ? MonitorFactory.screenPoint(size, flipH ? -side : side, 0)
+            : MonitorFactory.screenPoint(size, 0, flipH ? -side : side);
+
+        return {
+            id: monitor.userData.id,
+            center,
+            azimuth: Math.atan2(toCenter.x, -toCenter.z),
+            horizontalIsX,
+            flipH,
+            flipV,
+            mirroredUv,
+            width: horizontalIsX ? size.width : size.height,
+            height: horizontalIsX ? size.height : size.width,
+            left: monitor.localToWorld(edge(-1)),
+            right: monitor.localToWorld(edge(1))
+        };
+    }
+
+    // 왼쪽부터 차례로: 옆 화면과는 가장자리 사이 실제 거리(XZ)만큼 띄우고,
+    // 같은 방향에 위아래로 쌓인 화면은 앞 화면 기준 가로 위치 그대로. 세로는 화면 중심 높이
+    // 반환: [{ ...frame, x, y }] (x, y = 펼친 평면에서 왼쪽 아래 모서리, mm)
+    static spanLayout(monitors, eye) {
+        const frames = monitors.map(m => this.frame(m, eye)).sort((a, b) => a.azimuth - b.azimuth);
+        frames.forEach((f, i) => {
+            const prev = frames[i - 1];
+            f.y = f.center.y - f.height / 2;
+            if (!prev) {
+                f.x = -f.width / 2;
+                return;
+            }
+            const prevAxis = prev.right.clone().sub(prev.left).setY(0).normalize();
+            const along = f.center.clone().sub(prev.center).dot(prevAxis);
+            if (Math.abs(along) < (prev.width + f.width) / 4) {
+                f.x = prev.x + prev.width / 2 + along - f.width / 2;
+            } else {
+                const gap = Math.hypot(f.left.x - prev.right.x, f.left.z - prev.right.z);
+                f.x = prev.x + prev.width + gap;
+            }
+        });
+        return frames;
+    }
+
+    // 콘텐츠 비율을 유지한 채 영역을 꽉 채우도록 (넘치는 쪽은 잘림)
+    static coverBounds(rects, aspect) {
+        const minX = Math.min(...rects.map(r => r.x));
+        const maxX = Math.max(...rects.map(r => r.x + r.width));
+        const minY = Math.min(...rects.map(r => r.y));
+        const maxY = Math.max(...rects.map(r => r.y + r.height));
+        let width = maxX - minX;
+        let height = maxY - minY;
+        if (width / height < aspect) width = height * aspect;
+        else height = width / aspect;
+        return { x: (minX + maxX - width) / 2, y: (minY + maxY - height) / 2, width, height };
+    }
+
+    // 화면 메시 UV -> 콘텐츠 UV (아핀 변환이므로 세 점으로 결정)
+    static uvMatrix(frame, bounds) {
+        const map = (u, v) => {
+            const s = frame.mirroredUv ? 1 - u : u; // 로컬 x 방향 비율
+            const h = frame.horizontalIsX ? s : v;
+            const w = frame.horizontalIsX ? v : s;
+            const x = frame.x + (frame.flipH ? 1 - h : h) * frame.width;
+            const y = frame.y + (frame.flipV ? 1 - w : w) * frame.height;
+            return [(x - bounds.x) / bounds.width, (y - bounds.y) / bounds.height];
+        };
+        const [o, du, dv] = [map(0, 0), map(1, 0), map(0, 1)];
+        return new THREE.Matrix3().set(
+            du[0] - o[0], dv[0] - o[0], o[0],
+            du[1] - o[1], dv[1] - o[1], o[1],
+            0, 0, 1
+        );
+    }
+}
+
+// ==========================================
+// 23. Units: Display length units
+// ==========================================
+// 저장/계산은 모두 mm. 입력창과 표시 문자열만 선택한 단위로 바꾼다
+class Units {
+    // perUnit: 1단위당 mm, input/display: 입력창/표시 문자열의 소수 자릿수
+    static UNITS = {
+        mm: { label: 'mm', name: 'millimeters', perUnit: 1, input: 1, display: 0 },
+        cm: { label: 'cm', name: 'centimeters', perUnit: 10, input: 2, display: 1 },
+        in: { label: 'in', name: 'inches', perUnit: 25.4, input: 3, display: 2 }
+    };
+    static DEFAULT = 'mm';
+    static STEPS = [0.01, 0.1, 0.125, 0.25, 0.5, 1, 2, 5, 10, 20, 50, 100];
+
+    static has(unit) {
+        return Object.hasOwn(this.UNITS, unit);
+    }
+
+    static get(unit) {
+        return this.UNITS[unit] ?? this.UNITS[this.DEFAULT];
+    }
+
+    static fromMm(mm, unit, digits = this.get(unit).input) {
+        return Number((mm / this.get(unit).perUnit).toFixed(digits)) || 0; // -0 방지
+    }
+
+    // 표시용 숫자 (단위 없이)
+    static number(mm, unit) {
+        return this.fromMm(mm, unit, this.get(unit).display);
+    }
+
+    static toMm(value, unit) {
+        return value * this.get(unit).perUnit;
+    }
+
+    static format(mm, unit, extraDigits = 0) {
+        const { label, display } = this.get(unit);
+        return `${this.fromMm(mm, unit, display + extraDigits)} ${label}`;
+    }
+
+    // "597 × 336 mm"
+    static formatSize(values, unit) {
+        return `${values.map(mm => this.number(mm, unit)).join(' × ')} ${this.get(unit).label}`;
+    }
+
+    // mm 간격에 가까운 그 단위의 깔끔한 간격 (10mm -> 1cm, 0.25in)
+    static step(mmStep, unit) {
+        const raw = mmStep / this.get(unit).perUnit;
+        return [...this.STEPS].reverse().find(step => step <= raw + 1e-9) ?? this.STEPS[0];
+    }
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// LayoutSchema.validate와 같은 규칙: 숫자가 아니면 기본값, 범위를 벗어나면 경계값
+function clampOr(value, fallback, min, max = Infinity) {
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Modify SceneManager.onPointerDown to control the hint
+SceneManager.prototype.onPointerDown = (function (originalOnPointerDown) {
+    return function (event) {
+        if (this.transformControls.dragging || this.transformControls.axis) return;
+
+        // 측정 모드: 같은 레이캐스터로 모니터/책상 위 점을 찍음 (선택하지 않음)
+        if (this.measureMode) {
+            if (event.button === 0) this.pickMeasurePoint(event);
+            return;
+        }
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        
+        const intersects = this.raycaster.intersectObjects(this.getObjects(), true);
+        const isSelectable = (obj) => obj.userData && (obj.userData.isMonitor || obj.userData.isPeripheral);
+
+        if (intersects.length > 0) {
+            for (let i = 0; i < intersects.length; i++) {
+                let target = intersects[i].object;
+
+                while (target && target !== this.scene && !isSelectable(target)) {
+                    target = target.parent;
+                }
+
+                if (target && isSelectable(target)) {
+                    if (target.userData.locked) {
+                        window.appInstance.hideInteractionHint(); // 잠긴 모니터는 힌트 숨김
+                        continue;
+                    }
+
+                    if (event.shiftKey) {
+                        // Shift + 클릭: 선택에 추가/제거
+                        this.toggleSelection(target);
+                    } else if (this.selectedIds.has(target.userData.id)) {
+                        const currentMode = this.transformControls.getMode();
+                        this.transformControls.setMode(currentMode === 'translate' ? 'rotate' : 'translate');
+                        this.primaryId = target.userData.id;
+                    } else {
+                        this.setSelection(this.getGroupIds(target), target.userData.id);
+                        this.transformControls.setMode('translate');
+                    }
+                    window.appInstance.showInteractionHint(); // 모니터 선택 또는 모드 전환 시 힌트 표시
+                    return;
+                }
+            }
+        }
+
+        // Shift + 빈 공간 드래그: 사각형 선택
+        if (event.shiftKey && event.button === 0) {
+            this.startMarquee(event);
+            return;
+        }
+        
+        this.clearSelection();
         window.appInstance.hideInteractionHint(); // 빈 공간 클릭 시 힌트 숨김
     };
 })(SceneManager.prototype.onPointerDown);
@@ -916,7 +7560,26 @@ window.swapRatio = (id) => window.appInstance.swapRatio(id);
 window.rotateMonitor = (id) => window.appInstance.rotateMonitor(id);
 window.moveItem = (idx, dir) => window.appInstance.moveItem(idx, dir);
 window.removeMonitor = (id) => window.appInstance.removeMonitor(id);
+window.selectFromList = (id, event) => window.appInstance.selectFromList(id, event);
+window.removeMeasurement = (index) => window.appInstance.removeMeasurement(index);
+window.pickScreenContent = (id) => window.appInstance.pickScreenContent(id);
+window.clearScreenContent = (id) => window.appInstance.clearScreenContent(id);
+window.updatePeripheral = (id, key, value) => window.appInstance.updatePeripheral(id, key, value);
+window.resetPeripheral = (id) => window.appInstance.resetPeripheral(id);
+window.removePeripheral = (id) => window.appInstance.removePeripheral(id);
+window.setDeskVertex = (index, axis, value) => window.appInstance.setDeskVertex(index, axis, value);
+window.removeDeskVertex = (index) => window.appInstance.removeDeskVertex(index);
+window.goToCameraBookmark = (index) => window.appInstance.goToCameraBookmark(index);
+window.removeCameraBookmark = (index) => window.appInstance.removeCameraBookmark(index);
 window.toggleLock = (id) => window.appInstance.toggleLock(id); 
 window.resetMonitor = (id) => window.appInstance.resetMonitor(id);
+window.loadLayout = (id) => window.appInstance.loadLayout(id);
+window.renameLayout = (id) => window.appInstance.renameLayout(id);
+window.duplicateLayout = (id) => window.appInstance.duplicateLayout(id);
+window.deleteLayout = (id) => window.appInstance.deleteLayout(id);
+window.addMonitorFromCatalog = (modelId) => window.appInstance.addMonitorFromCatalog(modelId);
+window.removeCustomModel = (modelId) => window.appInstance.removeCustomModel(modelId);
+window.setMountType = (id, type) => window.appInstance.setMountType(id, type);
+window.setMonitorPose = (id, key, text) => window.appInstance.setMonitorPose(id, key, text);
 
 window.appInstance = new App();
\ No newline at end of file